@@ -6,7 +6,36 @@ import bodyParser from 'body-parser';
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import leadRoutes from './routes/leads.js';
+import pipelineRoutes from './routes/pipelines.js';
+import assignmentRuleRoutes from './routes/assignmentRules.js';
+import taskRoutes from './routes/tasks.js';
+import analyticsRoutes from './routes/analytics.js';
+import webhookRoutes from './routes/webhooks.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import captureRoutes from './routes/capture.js';
+import roleRoutes from './routes/roles.js';
+import teamRoutes from './routes/teams.js';
+import trashRoutes from './routes/trash.js';
+import customFieldRoutes from './routes/customFields.js';
+import savedViewRoutes from './routes/savedViews.js';
+import tagRoutes from './routes/tags.js';
+import scoringRoutes from './routes/scoring.js';
+import emailTemplateRoutes from './routes/emailTemplates.js';
+import automationRoutes from './routes/automations.js';
 import { authenticateToken } from './middleware/auth.js';
+import { sendValidationErrors } from './middleware/validate.js';
+import { ensureDefaultPipeline } from './utils/pipelines.js';
+import { ensureDefaultRoles } from './utils/roles.js';
+import { backfillDuplicateKeys } from './utils/duplicates.js';
+import { backfillSearchKeys } from './utils/leadSearch.js';
+import { startTaskScheduler } from './jobs/taskScheduler.js';
+import { startWebhookRetries } from './jobs/webhookRetry.js';
+import { startTrashPurge } from './jobs/trashPurge.js';
+import { startScoreRefresh } from './jobs/scoreRefresh.js';
+import { startAutomationScheduler } from './jobs/automationScheduler.js';
+import { failInterruptedImportJobs } from './jobs/importJobs.js';
+import { registerWebhookListener } from './utils/webhooks.js';
+import { registerAutomationListener } from './utils/automation.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,6 +44,13 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/leadflow';
 
+// Behind a proxy or load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the
+// client address used by the login rate limits
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
@@ -22,7 +58,19 @@ app.use(bodyParser.urlencoded({ extended: true }));
 
 // Connect to MongoDB
 mongoose.connect(MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(async () => {
+    console.log('Connected to MongoDB');
+    await ensureDefaultRoles();
+    await ensureDefaultPipeline();
+    await backfillDuplicateKeys();
+    await backfillSearchKeys();
+    await failInterruptedImportJobs();
+    startTaskScheduler();
+    startWebhookRetries();
+    startTrashPurge();
+    startScoreRefresh();
+    startAutomationScheduler();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Welcome route
@@ -33,10 +81,41 @@ app.get('/', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/roles', authenticateToken, roleRoutes);
+app.use('/api/teams', authenticateToken, teamRoutes);
+app.use('/api/trash', authenticateToken, trashRoutes);
 app.use('/api/leads', authenticateToken, leadRoutes);
+app.use('/api/custom-fields', authenticateToken, customFieldRoutes);
+app.use('/api/saved-views', authenticateToken, savedViewRoutes);
+app.use('/api/tags', authenticateToken, tagRoutes);
+app.use('/api/scoring', authenticateToken, scoringRoutes);
+app.use('/api/email-templates', authenticateToken, emailTemplateRoutes);
+app.use('/api/pipelines', authenticateToken, pipelineRoutes);
+app.use('/api/assignment-rules', authenticateToken, assignmentRuleRoutes);
+app.use('/api/automations', authenticateToken, automationRoutes);
+app.use('/api/tasks', authenticateToken, taskRoutes);
+app.use('/api/analytics', authenticateToken, analyticsRoutes);
+app.use('/api/webhooks', authenticateToken, webhookRoutes);
+app.use('/api/api-keys', authenticateToken, apiKeyRoutes);
+
+// Public lead capture, authenticated by API key instead of a user token
+app.use('/api/capture', captureRoutes);
+
+// Deliver lead events to webhook subscribers
+registerWebhookListener();
+
+// Run automation rules on lead events
+registerAutomationListener();
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Malformed JSON bodies are client errors, not server errors
+  if (err.type === 'entity.parse.failed') {
+    return sendValidationErrors(res, [
+      { location: 'body', field: '', message: 'Request body is not valid JSON' },
+    ]);
+  }
+  
   console.error(err.stack);
   res.status(500).json({
     success: false,
@@ -0,0 +1,27 @@
+import { runInactivityRules } from '../utils/automation.js';
+
+const INTERVAL_MS = parseInt(process.env.AUTOMATION_INTERVAL_MS || String(15 * 60 * 1000));
+
+// Run the automation rules triggered by time since a lead's last update, on an
+// interval inside the API process. Returns a function that stops the job.
+export const startAutomationScheduler = () => {
+  let running = false;
+  
+  const tick = async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+    try {
+      await runInactivityRules();
+    } catch (error) {
+      console.error('Error running inactivity automations:', error);
+    } finally {
+      running = false;
+    }
+  };
+  
+  const timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  
+  return () => clearInterval(timer);
+};
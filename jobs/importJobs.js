@@ -0,0 +1,65 @@
+import ImportJob from '../models/ImportJob.js';
+import { runImport } from '../utils/leadImport.js';
+
+// Keep the stored error report to a size that fits comfortably in one document
+const MAX_REPORT_ENTRIES = 10000;
+
+// Turn an import summary into error report entries
+export const reportEntries = (summary) => [
+  ...summary.errors.map((entry) => ({ row: entry.row, type: 'error', message: entry.message })),
+  ...summary.duplicates.map((entry) => ({
+    row: entry.row,
+    type: 'duplicate',
+    message: entry.duplicateOfRow
+      ? `Same person as row ${entry.duplicateOfRow}`
+      : `Matches existing leads: ${entry.matches.map((match) => `${match.lead.email} (${match.reasons.join(', ')})`).join('; ')}`,
+  })),
+];
+
+// Run an import job in the background of this process. The rows are held in memory
+// only, so jobs interrupted by a restart are marked as failed on the next start.
+export const runImportJob = (job, rows) => {
+  setImmediate(async () => {
+    try {
+      job.status = 'running';
+      job.startedAt = new Date();
+      await job.save();
+      
+      const summary = await runImport({
+        rows,
+        mapping: job.mapping,
+        dryRun: job.dryRun,
+        fuzzyName: job.fuzzyName,
+        userId: job.createdBy,
+        onProgress: async (processed) => {
+          job.processedRows = processed;
+          await job.save();
+        },
+      });
+      
+      const report = reportEntries(summary);
+      
+      job.status = 'completed';
+      job.valid = summary.valid;
+      job.imported = summary.imported;
+      job.duplicateCount = summary.duplicates.length;
+      job.errorCount = summary.errors.length;
+      job.report = report.slice(0, MAX_REPORT_ENTRIES);
+    } catch (error) {
+      console.error('Error running import job:', error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    
+    job.finishedAt = new Date();
+    await job.save().catch((error) => console.error('Error saving import job:', error));
+  });
+};
+
+// Mark jobs left unfinished by a previous process as failed
+export const failInterruptedImportJobs = async () => {
+  await ImportJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() } }
+  );
+};
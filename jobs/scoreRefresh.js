@@ -0,0 +1,14 @@
+import { startFullRescore } from '../utils/rescore.js';
+
+const INTERVAL_MS = parseInt(process.env.SCORE_REFRESH_INTERVAL_MS || String(24 * 60 * 60 * 1000));
+
+// Rescore every lead on an interval inside the API process, so that scores of leads
+// without activity decay and rule changes reach every lead. Returns a function that
+// stops the job.
+export const startScoreRefresh = () => {
+  // startFullRescore skips a tick while the previous run is still going
+  const timer = setInterval(startFullRescore, INTERVAL_MS);
+  timer.unref();
+  
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,48 @@
+import Task from '../models/Task.js';
+import Lead from '../models/Lead.js';
+
+const INTERVAL_MS = parseInt(process.env.TASK_SCHEDULER_INTERVAL_MS || '60000');
+
+// Flag open tasks whose due date has passed. Tasks on leads in the trash are left
+// alone until the lead is restored.
+export const flagOverdueTasks = async () => {
+  const due = { completed: false, isOverdue: false, dueDate: { $lt: new Date() } };
+  const leadIds = await Task.distinct('lead', due);
+  const activeLeadIds = await Lead.distinct('_id', { _id: { $in: leadIds }, deletedAt: null });
+  
+  const result = await Task.updateMany(
+    { ...due, lead: { $in: activeLeadIds } },
+    { $set: { isOverdue: true, updatedAt: new Date() } }
+  );
+  
+  if (result.modifiedCount > 0) {
+    console.log(`Flagged ${result.modifiedCount} overdue tasks`);
+  }
+  
+  return result.modifiedCount;
+};
+
+// Run the overdue check on an interval inside the API process.
+// Returns a function that stops the scheduler.
+export const startTaskScheduler = () => {
+  let running = false;
+  
+  const tick = async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+    try {
+      await flagOverdueTasks();
+    } catch (error) {
+      console.error('Error flagging overdue tasks:', error);
+    } finally {
+      running = false;
+    }
+  };
+  
+  tick();
+  const timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,28 @@
+import { purgeExpiredTrash } from '../utils/trash.js';
+
+const INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS || String(60 * 60 * 1000));
+
+// Purge leads and users that have been in the trash past the retention window,
+// on an interval inside the API process. Returns a function that stops the job.
+export const startTrashPurge = () => {
+  let running = false;
+  
+  const tick = async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+    try {
+      await purgeExpiredTrash();
+    } catch (error) {
+      console.error('Error purging the trash:', error);
+    } finally {
+      running = false;
+    }
+  };
+  
+  const timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+  
+  return () => clearInterval(timer);
+};
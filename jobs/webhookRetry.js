@@ -0,0 +1,27 @@
+import { retryDueDeliveries } from '../utils/webhooks.js';
+
+const INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS || '15000');
+
+// Retry failed webhook deliveries on an interval inside the API process.
+// Returns a function that stops the job.
+export const startWebhookRetries = () => {
+  let running = false;
+  
+  const tick = async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+    try {
+      await retryDueDeliveries();
+    } catch (error) {
+      console.error('Error retrying webhook deliveries:', error);
+    } finally {
+      running = false;
+    }
+  };
+  
+  const timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  
+  return () => clearInterval(timer);
+};
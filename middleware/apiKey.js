@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Generate a new key. Returns the full key (shown once) and what is stored.
+export const generateApiKey = () => {
+  const key = `lf_${crypto.randomBytes(24).toString('hex')}`;
+  return {
+    key,
+    prefix: key.slice(0, 10),
+    keyHash: hashApiKey(key),
+  };
+};
+
+// Authenticate a request with an API key that has the given scope.
+// HTML forms cannot set headers, so the key may also be sent as an api_key field.
+export const authenticateApiKey = (scope) => {
+  return async (req, res, next) => {
+    try {
+      const key = req.headers['x-api-key'] || req.body?.api_key || req.query.api_key;
+      
+      if (!key) {
+        return res.status(401).json({ message: 'Access denied. No API key provided.' });
+      }
+      
+      const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+      
+      if (!apiKey) {
+        return res.status(401).json({ message: 'Invalid or revoked API key.' });
+      }
+      
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ message: 'API key is not allowed to perform this action.' });
+      }
+      
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date() }, $inc: { usageCount: 1 } }
+      );
+      
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      res.status(500).json({ message: 'Server error in authentication' });
+    }
+  };
+};
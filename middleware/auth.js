@@ -1,6 +1,10 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { JWT_SECRET } from '../utils/tokens.js';
+import { getRolePermissions } from '../utils/roles.js';
+import { hasPermission } from '../utils/permissions.js';
 
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1];
@@ -9,33 +13,39 @@ export const authenticateToken = (req, res, next) => {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
     
-    jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret', (err, user) => {
-      if (err) {
-        return res.status(403).json({ message: 'Invalid token.' });
-      }
-      
-      req.user = user;
-      next();
-    });
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      return res.status(403).json({ message: 'Invalid token.' });
+    }
+    
+    // Tokens stop working as soon as the user is disabled, deleted or has their sessions revoked
+    const user = await User.findById(payload.id).select('role isActive tokenVersion');
+    if (!user || !user.isActive || (user.tokenVersion || 0) !== payload.tv) {
+      return res.status(401).json({ message: 'Session has expired or been revoked.' });
+    }
+    
+    req.user = {
+      id: user._id.toString(),
+      role: user.role,
+      permissions: await getRolePermissions(user.role),
+    };
+    next();
   } catch (error) {
     res.status(500).json({ message: 'Server error in authentication' });
   }
 };
 
-export const checkRole = (roles) => {
+// Require every listed permission. An array stands for any one of its permissions,
+// e.g. requirePermission(['leads.read.own', 'leads.read.all']).
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Access denied. Not authenticated.' });
     }
     
-    const authorized = Array.isArray(roles)
-      ? roles.includes(req.user.role)
-      : req.user.role === roles;
-    
-    // Super admin has access to everything
-    if (req.user.role === 'super_admin') {
-      return next();
-    }
+    const authorized = permissions.every((permission) => hasPermission(req.user, permission));
     
     if (!authorized) {
       return res.status(403).json({ message: 'Access denied. Not authorized for this action.' });
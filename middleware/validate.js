@@ -0,0 +1,51 @@
+// Request parts checked by validate(), in the order errors are reported
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Send the standard 400 response listing every invalid field
+export const sendValidationErrors = (res, errors) => {
+  return res.status(400).json({
+    message: 'Validation failed',
+    errors,
+  });
+};
+
+// Convert a mongoose ValidationError into the same error list
+export const fromMongooseError = (error) => {
+  return Object.values(error.errors).map((item) => ({
+    location: 'body',
+    field: item.path,
+    message: item.message,
+  }));
+};
+
+// Validate and coerce req.params, req.query and req.body against Zod schemas.
+// The parsed values replace the originals, so handlers only see known fields.
+export const validate = (schemas) => {
+  return (req, res, next) => {
+    const errors = [];
+    
+    LOCATIONS.forEach((location) => {
+      if (!schemas[location]) return;
+      
+      const result = schemas[location].safeParse(req[location] || {});
+      
+      if (result.success) {
+        req[location] = result.data;
+      } else {
+        result.error.issues.forEach((issue) => {
+          errors.push({
+            location,
+            field: issue.path.join('.'),
+            message: issue.message,
+          });
+        });
+      }
+    });
+    
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    next();
+  };
+};
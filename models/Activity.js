@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const ActivitySchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: [
+      'created',
+      'imported',
+      'updated',
+      'status_changed',
+      'pipeline_changed',
+      'assigned',
+      'tags_changed',
+      'note_added',
+      'merged',
+      'task_created',
+      'task_completed',
+      'deleted',
+      'restored',
+      'email_sent',
+    ],
+    required: true,
+  },
+  // Field-level changes record which field changed and its old/new values
+  field: {
+    type: String,
+    default: null,
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Extra context, e.g. the assignment rule that assigned the lead
+  meta: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ActivitySchema.index({ lead: 1, createdAt: -1 });
+
+export default mongoose.model('Activity', ActivitySchema);
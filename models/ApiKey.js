@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // First characters of the key, shown so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of the full key; the key itself is only shown once
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // Keys can only create leads for now
+  scopes: {
+    type: [String],
+    enum: ['leads:create'],
+    default: ['leads:create'],
+  },
+  // Values given to every lead created with this key
+  defaultSource: {
+    type: String,
+    trim: true,
+    default: 'Web Form',
+  },
+  defaultTags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag',
+  }],
+  defaultAssignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Requests allowed per minute
+  rateLimit: {
+    type: Number,
+    min: 1,
+    default: 30,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('ApiKey', ApiKeySchema);
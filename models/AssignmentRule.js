@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const ConditionSchema = new mongoose.Schema({
+  // Lead field to test, e.g. source, status, tags or pipeline
+  field: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  operator: {
+    type: String,
+    enum: ['equals', 'not_equals', 'contains', 'in', 'exists'],
+    default: 'equals',
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { _id: false });
+
+const AssignmentRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Rules are tried from the lowest priority number up; the first match assigns the lead
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  // All conditions must match. A rule without conditions matches every lead.
+  conditions: [ConditionSchema],
+  strategy: {
+    type: String,
+    enum: ['round_robin', 'least_loaded'],
+    default: 'round_robin',
+  },
+  // Agents the rule assigns to. Empty means every active agent.
+  agents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  // Number of leads assigned so far, used to take turns in round-robin
+  assignmentCount: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field on save
+AssignmentRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('AssignmentRule', AssignmentRuleSchema);
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import { CONDITION_OPERATORS } from '../utils/conditions.js';
+
+// What starts a rule:
+// - lead.created: a lead is created, imported or captured
+// - lead.field_changed: field changes, optionally to a given value
+// - note.added: a note is added to a lead
+// - lead.inactive: a lead has not been updated for days
+export const AUTOMATION_TRIGGERS = ['lead.created', 'lead.field_changed', 'note.added', 'lead.inactive'];
+
+export const AUTOMATION_ACTIONS = [
+  'set_field', 'add_tag', 'remove_tag', 'assign', 'add_note', 'create_task', 'call_webhook',
+];
+
+const TriggerSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: AUTOMATION_TRIGGERS,
+    required: true,
+  },
+  // lead.field_changed: the field (e.g. status or cf.<key>) and the value it must change to
+  field: {
+    type: String,
+    default: null,
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // lead.inactive: days without an update
+  days: {
+    type: Number,
+    default: null,
+  },
+}, { _id: false });
+
+// Lead field condition, as in assignment and scoring rules
+const ConditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  operator: {
+    type: String,
+    enum: CONDITION_OPERATORS,
+    default: 'equals',
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { _id: false });
+
+// One step of a rule. Which settings apply depends on the type:
+// set_field uses field and value, add_tag and remove_tag use tag, assign uses user,
+// add_note uses text, create_task uses text, dueInDays and user (defaults to the
+// lead's assignee), and call_webhook sends to the registered webhook.
+const ActionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: AUTOMATION_ACTIONS,
+    required: true,
+  },
+  field: String,
+  value: mongoose.Schema.Types.Mixed,
+  tag: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag',
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  text: String,
+  dueInDays: Number,
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+  },
+}, { _id: false });
+
+// "When <trigger>, if <conditions>, do <actions>". Rules run in the order they were created.
+const AutomationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  trigger: {
+    type: TriggerSchema,
+    required: true,
+  },
+  conditions: [ConditionSchema],
+  actions: {
+    type: [ActionSchema],
+    validate: [(actions) => actions.length > 0, 'A rule needs at least one action'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AutomationRuleSchema.index({ 'trigger.type': 1, isActive: 1 });
+
+// Update the updatedAt field on save
+AutomationRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('AutomationRule', AutomationRuleSchema);
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Runs are kept for this many days
+const RETENTION_DAYS = parseInt(process.env.AUTOMATION_RUN_RETENTION_DAYS || '30');
+
+// Execution log: one entry each time a rule is triggered for a lead
+const AutomationRunSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRule',
+    required: true,
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true,
+  },
+  // Event that triggered the rule
+  event: {
+    type: String,
+    required: true,
+  },
+  // success: every action ran. failed: one or more actions failed.
+  // pending: no action failed, but a webhook delivery is waiting to be retried.
+  // skipped: the rule was not run, to stop a loop of rules triggering each other.
+  // not_matched: an inactivity rule checked the lead, which did not meet its conditions.
+  status: {
+    type: String,
+    enum: ['success', 'failed', 'pending', 'skipped', 'not_matched'],
+    required: true,
+  },
+  actions: [{
+    _id: false,
+    type: { type: String },
+    status: { type: String, enum: ['success', 'failed', 'pending'] },
+    error: String,
+    // Webhook delivery sent by a call_webhook action
+    delivery: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' },
+  }],
+  error: {
+    type: String,
+    default: null,
+  },
+  // Number of rules in the chain that led to this run
+  depth: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Set the run's status from the status of its actions
+AutomationRunSchema.methods.settleStatus = function() {
+  const statuses = this.actions.map((action) => action.status);
+  if (statuses.includes('failed')) this.status = 'failed';
+  else if (statuses.includes('pending')) this.status = 'pending';
+  else this.status = 'success';
+};
+
+AutomationRunSchema.index({ rule: 1, lead: 1, createdAt: -1 });
+AutomationRunSchema.index({ 'actions.delivery': 1 }, { sparse: true });
+AutomationRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('AutomationRun', AutomationRunSchema);
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multi_select', 'boolean'];
+
+const CustomFieldSchema = new mongoose.Schema({
+  // Leads store values under this key, so it cannot change once created
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Key may only contain lowercase letters, numbers and underscores'],
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: CUSTOM_FIELD_TYPES,
+  },
+  // Checked when leads are created, edited or imported; web form captures skip custom fields
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  // Allowed values of select and multi_select fields
+  options: [{
+    type: String,
+    trim: true,
+  }],
+  // Position in forms and export columns
+  order: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+CustomFieldSchema.pre('validate', function(next) {
+  const hasOptions = this.type === 'select' || this.type === 'multi_select';
+
+  if (hasOptions && this.options.length === 0) {
+    this.invalidate('options', 'Select fields need at least one option');
+  }
+  if (!hasOptions && this.options.length > 0) {
+    this.invalidate('options', 'Only select fields have options');
+  }
+  if (new Set(this.options.map((option) => option.toLowerCase())).size !== this.options.length) {
+    this.invalidate('options', 'Options must be unique');
+  }
+  next();
+});
+
+// Update the updatedAt field on save
+CustomFieldSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('CustomField', CustomFieldSchema);
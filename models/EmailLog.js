@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// An email sent (or attempted) from a lead, as it was rendered
+const EmailLogSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true,
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailTemplate',
+    default: null,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  // Replies go to the sender's own address
+  replyTo: {
+    type: String,
+    default: null,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true,
+  },
+  // Mail transport used and the message ID it returned
+  transport: {
+    type: String,
+    default: null,
+  },
+  messageId: {
+    type: String,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+EmailLogSchema.index({ lead: 1, createdAt: -1 });
+
+export default mongoose.model('EmailLog', EmailLogSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Email reps can send from a lead. subject and body may hold placeholders such as
+// {{lead.name}} and {{agent.name}} (see utils/emailTemplates.js).
+const EmailTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  // Inactive templates are kept but not offered for sending
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field on save
+EmailTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('EmailTemplate', EmailTemplateSchema);
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+const ReportEntrySchema = new mongoose.Schema({
+  row: Number,
+  type: {
+    type: String,
+    enum: ['error', 'duplicate'],
+  },
+  message: String,
+}, { _id: false });
+
+const ImportJobSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    default: '',
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+  },
+  // Spreadsheet header to lead field
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  dryRun: {
+    type: Boolean,
+    default: false,
+  },
+  fuzzyName: {
+    type: Boolean,
+    default: false,
+  },
+  totalRows: {
+    type: Number,
+    default: 0,
+  },
+  processedRows: {
+    type: Number,
+    default: 0,
+  },
+  valid: {
+    type: Number,
+    default: 0,
+  },
+  imported: {
+    type: Number,
+    default: 0,
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0,
+  },
+  errorCount: {
+    type: Number,
+    default: 0,
+  },
+  // Rows that were not imported, downloadable as a CSV error report
+  report: [ReportEntrySchema],
+  // Why the job itself failed
+  error: {
+    type: String,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+export default mongoose.model('ImportJob', ImportJobSchema);
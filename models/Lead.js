@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import Pipeline from './Pipeline.js';
+import Tag from './Tag.js';
+import { duplicateKeys, nameWords } from '../utils/normalize.js';
+import { loadScoringRules, computeScore } from '../utils/scoring.js';
 
 const NoteSchema = new mongoose.Schema({
   content: {
@@ -37,16 +41,25 @@ const LeadSchema = new mongoose.Schema({
     trim: true,
     default: 'Website',
   },
+  pipeline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline',
+  },
+  // Name of a stage in the lead's pipeline
   status: {
     type: String,
-    enum: ['New', 'Contacted', 'Qualified', 'Won', 'Lost'],
-    default: 'New',
+    trim: true,
   },
   tags: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tag',
   }],
   notes: [NoteSchema],
+  // Values of the admin-defined custom fields, by field key (see utils/customFields.js)
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -57,6 +70,69 @@ const LeadSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Leads combined into this one by a merge
+  mergedFrom: [{
+    lead: mongoose.Schema.Types.ObjectId,
+    name: String,
+    email: String,
+    phone: String,
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    mergedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  // Normalized email, phone and name used for duplicate detection
+  emailKey: {
+    type: String,
+    select: false,
+  },
+  phoneKey: {
+    type: String,
+    select: false,
+  },
+  nameKey: {
+    type: String,
+    select: false,
+  },
+  // Names of the lead's tags, so that search can match them
+  tagNames: {
+    type: [String],
+    select: false,
+  },
+  // Lowercase name words, for typeahead prefix matches
+  nameWords: {
+    type: [String],
+    select: false,
+  },
+  // Priority from the scoring rules, recalculated on save and by the score refresh job
+  score: {
+    type: Number,
+    default: 0,
+  },
+  scoredAt: {
+    type: Date,
+    default: null,
+  },
+  // Set when the lead is moved to the trash
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Lead this one was merged into, for leads moved to the trash by a merge
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -67,10 +143,117 @@ const LeadSchema = new mongoose.Schema({
   },
 });
 
+LeadSchema.index({ pipeline: 1, status: 1 });
+LeadSchema.index({ deletedAt: 1 });
+LeadSchema.index({ score: -1 });
+LeadSchema.index({ emailKey: 1 });
+LeadSchema.index({ phoneKey: 1 });
+LeadSchema.index({ nameKey: 1 });
+// Typeahead suggestions (see prefixFilter in utils/leadSearch.js)
+LeadSchema.index({ nameWords: 1 });
+LeadSchema.index({ email: 1 });
+
+// Full-text search (see GET /api/leads/search). No language is set so that names are
+// not stemmed and short words like "will" are not dropped as stop words.
+LeadSchema.index(
+  {
+    name: 'text',
+    email: 'text',
+    phoneKey: 'text',
+    tagNames: 'text',
+    'notes.content': 'text',
+  },
+  {
+    name: 'lead_search',
+    default_language: 'none',
+    weights: {
+      name: 10,
+      email: 8,
+      phoneKey: 6,
+      tagNames: 4,
+      'notes.content': 1,
+    },
+  }
+);
+
+// Leads in the trash are left out of reads unless the filter itself mentions deletedAt,
+// as the trash and purge queries do. Updates are not filtered so that changes such as
+// stage renames also reach trashed leads.
+LeadSchema.pre(['find', 'findOne', 'countDocuments'], function() {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+});
+
+LeadSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (!first || !first.$match || first.$match.deletedAt === undefined) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Put the lead in a pipeline and make sure its status is one of that pipeline's stages
+LeadSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('pipeline') && !this.isModified('status')) return;
+  
+  const pipeline = this.pipeline
+    ? await Pipeline.findById(this.pipeline)
+    : await Pipeline.getDefault();
+  
+  if (!pipeline) {
+    this.invalidate('pipeline', 'Pipeline not found');
+    return;
+  }
+  
+  this.pipeline = pipeline._id;
+  
+  // Moving to another pipeline without a status starts the lead at its first stage
+  const movedWithoutStatus = this.isModified('pipeline') && !this.isModified('status') && !this.isNew;
+  if (!this.status || (movedWithoutStatus && !pipeline.getStage(this.status))) {
+    this.status = pipeline.stages[0].name;
+  }
+  
+  if (!pipeline.getStage(this.status)) {
+    this.invalidate('status', `"${this.status}" is not a stage of the ${pipeline.name} pipeline`);
+  }
+});
+
+// Keep the tag names used by search in step with the tags
+LeadSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('tags')) return;
+
+  const tags = this.tags.length > 0
+    ? await Tag.find({ _id: { $in: this.tags } }).select('name').lean()
+    : [];
+  this.tagNames = tags.map((tag) => tag.name);
+});
+
+// Keep the name words used by typeahead in step with the name
+LeadSchema.pre('validate', function() {
+  if (this.isNew || this.isModified('name')) {
+    this.nameWords = nameWords(this.name);
+  }
+});
+
+// Score the lead as it is saved. Saving counts as activity, so the score is not decayed.
+LeadSchema.pre('validate', async function() {
+  this.updatedAt = Date.now();
+  this.score = computeScore(this, await loadScoringRules());
+  this.scoredAt = new Date();
+});
+
 // Update the updatedAt field on save
 LeadSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Keep the duplicate match keys in step with the contact details
+LeadSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('name') || this.isModified('email') || this.isModified('phone')) {
+    Object.assign(this, duplicateKeys(this));
+  }
+  next();
+});
+
 export default mongoose.model('Lead', LeadSchema);
\ No newline at end of file
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+const StageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ['open', 'won', 'lost'],
+    default: 'open',
+  },
+  // Win probability in percent
+  probability: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0,
+  },
+});
+
+const PipelineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+  },
+  // Stages are kept in pipeline order
+  stages: {
+    type: [StageSchema],
+    validate: [
+      {
+        validator: (stages) => stages.length > 0,
+        message: 'A pipeline needs at least one stage',
+      },
+      {
+        validator: (stages) => {
+          const names = stages.map((stage) => stage.name.toLowerCase());
+          return new Set(names).size === names.length;
+        },
+        message: 'Stage names must be unique within a pipeline',
+      },
+    ],
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field on save
+PipelineSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Look up a stage by name (case-sensitive, as stored on leads)
+PipelineSchema.methods.getStage = function(name) {
+  return this.stages.find((stage) => stage.name === name);
+};
+
+// Stages given to the default pipeline, matching the original fixed statuses
+export const DEFAULT_STAGES = [
+  { name: 'New', type: 'open', probability: 10 },
+  { name: 'Contacted', type: 'open', probability: 25 },
+  { name: 'Qualified', type: 'open', probability: 50 },
+  { name: 'Won', type: 'won', probability: 100 },
+  { name: 'Lost', type: 'lost', probability: 0 },
+];
+
+// Get the default pipeline, creating it on first use
+PipelineSchema.statics.getDefault = async function() {
+  const pipeline = await this.findOne({ isDefault: true });
+  if (pipeline) return pipeline;
+
+  try {
+    return await this.create({ name: 'Default', stages: DEFAULT_STAGES, isDefault: true });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) return this.findOne({ name: 'Default' });
+    throw error;
+  }
+};
+
+export default mongoose.model('Pipeline', PipelineSchema);
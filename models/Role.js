@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { PERMISSION_NAMES, ALL_PERMISSIONS } from '../utils/permissions.js';
+
+const RoleSchema = new mongoose.Schema({
+  // Stored on users, so it cannot change once created
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, numbers and underscores'],
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  permissions: [{
+    type: String,
+    enum: [...PERMISSION_NAMES, ALL_PERMISSIONS],
+  }],
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field on save
+RoleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('Role', RoleSchema);
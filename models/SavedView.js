@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Lead list filters and sort saved under a name. Private views are only seen by
+// their owner; shared views are listed for everyone who can see leads.
+const SavedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Parameters of GET /api/leads, as validated by leadFiltersObject
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  sort: [{
+    type: String,
+  }],
+  shared: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SavedViewSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+SavedViewSchema.index({ shared: 1 });
+
+// Update the updatedAt field on save
+SavedViewSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('SavedView', SavedViewSchema);
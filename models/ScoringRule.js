@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { CONDITION_OPERATORS } from '../utils/conditions.js';
+
+const ConditionSchema = new mongoose.Schema({
+  // Lead fact to test (see SCORING_FIELDS in utils/scoring.js), or cf.<key>
+  field: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  operator: {
+    type: String,
+    enum: CONDITION_OPERATORS,
+    default: 'equals',
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { _id: false });
+
+// Points added to (or taken from) the score of every lead matching all the conditions
+const ScoringRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  conditions: [ConditionSchema],
+  points: {
+    type: Number,
+    required: true,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field on save
+ScoringRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('ScoringRule', ScoringRuleSchema);
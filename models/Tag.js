@@ -11,6 +11,12 @@ const TagSchema = new mongoose.Schema({
     type: String,
     default: '#808080', // Default gray
   },
+  // Category the tag is listed under in the tag picker, e.g. "Industry"
+  group: {
+    type: String,
+    trim: true,
+    default: '',
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -20,6 +26,18 @@ const TagSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+TagSchema.index({ group: 1, name: 1 });
+
+// Update the updatedAt field on save
+TagSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
 });
 
-export default mongoose.model('Tag', TagSchema);
\ No newline at end of file
+export default mongoose.model('Tag', TagSchema);
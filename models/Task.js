@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+const TaskSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  type: {
+    type: String,
+    enum: ['call', 'email', 'meeting'],
+    default: 'call',
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium',
+  },
+  dueDate: {
+    type: Date,
+    required: true,
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  completed: {
+    type: Boolean,
+    default: false,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Set by the task scheduler once an open task passes its due date
+  isOverdue: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+TaskSchema.index({ assignedTo: 1, completed: 1, dueDate: 1 });
+TaskSchema.index({ lead: 1, dueDate: 1 });
+
+// Update the updatedAt field on save
+TaskSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Keep the completion fields and overdue flag consistent
+TaskSchema.pre('save', function(next) {
+  if (this.isModified('completed')) {
+    if (!this.completed) {
+      this.completedAt = null;
+      this.completedBy = null;
+    } else if (!this.completedAt) {
+      this.completedAt = Date.now();
+    }
+  }
+  
+  if (this.completed || this.dueDate > Date.now()) {
+    this.isOverdue = false;
+  }
+  
+  next();
+});
+
+export default mongoose.model('Task', TaskSchema);
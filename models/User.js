@@ -13,13 +13,14 @@ const UserSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
   },
+  // Empty until an invited user accepts their invite
   password: {
     type: String,
-    required: true,
+    default: null,
   },
+  // Name of a Role, which grants the user's permissions
   role: {
     type: String,
-    enum: ['super_admin', 'admin', 'agent'],
     default: 'agent',
   },
   isActive: {
@@ -30,6 +31,48 @@ const UserSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  invitedAt: {
+    type: Date,
+    default: null,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  inviteAcceptedAt: {
+    type: Date,
+    default: null,
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null,
+  },
+  // Consecutive failed logins; the account is locked until lockedUntil once there are too many
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Set when the user is moved to the trash. Trashed users are also disabled, and
+  // stay referenced by the leads, notes and activity they created.
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Bumped to invalidate every access token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
   // createdAt: {
   //   type: Date,
   //   default: Date.now,
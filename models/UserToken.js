@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Single-use tokens emailed to users: invites and password resets
+const UserTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['invite', 'reset'],
+    required: true,
+  },
+  // SHA-256 of the token; the token itself is only sent by email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+UserTokenSchema.index({ user: 1, type: 1 });
+// Let MongoDB remove tokens once they expire
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('UserToken', UserTokenSchema);
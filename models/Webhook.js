@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { EVENT_TYPES } from '../utils/events.js';
+
+const WebhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: EVENT_TYPES,
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'A webhook needs at least one event',
+    },
+  },
+  // Used to sign payloads with HMAC-SHA256; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+WebhookSchema.index({ isActive: 1, events: 1 });
+
+// Update the updatedAt field on save
+WebhookSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('Webhook', WebhookSchema);
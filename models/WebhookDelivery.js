@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const AttemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  responseStatus: {
+    type: Number,
+    default: null,
+  },
+  // Start of the response body, kept for debugging
+  responseBody: {
+    type: String,
+    default: '',
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  durationMs: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending',
+  },
+  attempts: [AttemptSchema],
+  // When a pending delivery is next tried
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+export default mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,268 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Lead from '../models/Lead.js';
+import Activity from '../models/Activity.js';
+import User from '../models/User.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { scopeLeadFilter, teamLeadFilter } from '../utils/leadAccess.js';
+import { loadStageIndex } from '../utils/pipelines.js';
+import { rangeQuery, trendQuery, timeInStatusQuery } from '../validation/analytics.js';
+
+const router = express.Router();
+
+// Reports need analytics.read and only cover the leads the user can see
+router.use(requirePermission('analytics.read'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lead filter for the user's scope (their own leads, their team's or all),
+// the creation date range and an optional pipeline and team
+const reportFilter = async (req) => {
+  const { dateFrom, dateTo, pipeline, team } = req.query;
+  
+  const filter = {};
+  
+  if (team) filter.$and = [await teamLeadFilter(team)];
+  if (pipeline) filter.pipeline = new mongoose.Types.ObjectId(pipeline);
+  
+  if (dateFrom || dateTo) {
+    filter.createdAt = {};
+    if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) {
+      const toDate = new Date(dateTo);
+      toDate.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = toDate;
+    }
+  }
+  
+  return scopeLeadFilter(filter, req.user);
+};
+
+// Count leads by stage type (open, won, lost) from { pipeline, status, count } groups
+const countByStageType = (groups, stageIndex) => {
+  const counts = { open: 0, won: 0, lost: 0 };
+  groups.forEach((group) => {
+    const stage = stageIndex.get(`${group.pipeline}:${group.status}`);
+    counts[stage ? stage.type : 'open'] += group.count;
+  });
+  return counts;
+};
+
+// Lead counts by status, source and stage type
+router.get('/summary', validate({ query: rangeQuery }), async (req, res) => {
+  try {
+    const filter = await reportFilter(req);
+    
+    const [byStatus, bySource, byStage] = await Promise.all([
+      Lead.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+      ]),
+      Lead.aggregate([
+        { $match: filter },
+        { $group: { _id: { $ifNull: ['$source', 'Unknown'] }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+      ]),
+      Lead.aggregate([
+        { $match: filter },
+        { $group: { _id: { pipeline: '$pipeline', status: '$status' }, count: { $sum: 1 } } },
+      ]),
+    ]);
+    
+    const stageIndex = await loadStageIndex();
+    const groups = byStage.map((item) => ({ ...item._id, count: item.count }));
+    
+    res.json({
+      total: groups.reduce((sum, group) => sum + group.count, 0),
+      byStatus: byStatus.map((item) => ({ status: item._id, count: item.count })),
+      bySource: bySource.map((item) => ({ source: item._id, count: item.count })),
+      byStageType: countByStageType(groups, stageIndex),
+    });
+  } catch (error) {
+    console.error('Error fetching lead summary:', error);
+    res.status(500).json({ message: 'Server error fetching lead summary' });
+  }
+});
+
+// Conversion from new lead to won deal for leads created in the range
+router.get('/conversion', validate({ query: rangeQuery }), async (req, res) => {
+  try {
+    const groups = await Lead.aggregate([
+      { $match: await reportFilter(req) },
+      { $group: { _id: { pipeline: '$pipeline', status: '$status' }, count: { $sum: 1 } } },
+    ]);
+    
+    const stageIndex = await loadStageIndex();
+    const counts = countByStageType(groups.map((item) => ({ ...item._id, count: item.count })), stageIndex);
+    const total = counts.open + counts.won + counts.lost;
+    const closed = counts.won + counts.lost;
+    
+    res.json({
+      total,
+      ...counts,
+      // Share of all new leads that were won
+      conversionRate: total > 0 ? counts.won / total : 0,
+      // Share of closed leads that were won
+      winRate: closed > 0 ? counts.won / closed : 0,
+    });
+  } catch (error) {
+    console.error('Error fetching conversion rates:', error);
+    res.status(500).json({ message: 'Server error fetching conversion rates' });
+  }
+});
+
+// Average time leads spend in each status, from their status change history.
+// Time in a lead's current status counts up to now. A lead can enter a status more
+// than once: each visit is a stint, and averageDays is the total time per lead.
+router.get('/time-in-status', validate({ query: timeInStatusQuery }), async (req, res) => {
+  try {
+    const now = new Date();
+    
+    const groups = await Lead.aggregate([
+      { $match: await reportFilter(req) },
+      {
+        $lookup: {
+          from: Activity.collection.name,
+          let: { lead: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$lead', '$$lead'] }, type: 'status_changed' } },
+            { $sort: { createdAt: 1 } },
+            { $project: { _id: 0, oldValue: 1, newValue: 1, createdAt: 1 } },
+          ],
+          as: 'history',
+        },
+      },
+      // Stint i starts at creation or the i-th change and ends at the next change or now
+      {
+        $project: {
+          stints: {
+            $map: {
+              input: { $range: [0, { $add: [{ $size: '$history' }, 1] }] },
+              as: 'i',
+              in: {
+                status: {
+                  $cond: [
+                    { $eq: ['$$i', 0] },
+                    { $ifNull: [{ $arrayElemAt: ['$history.oldValue', 0] }, '$status'] },
+                    { $arrayElemAt: ['$history.newValue', { $subtract: ['$$i', 1] }] },
+                  ],
+                },
+                from: {
+                  $cond: [
+                    { $eq: ['$$i', 0] },
+                    '$createdAt',
+                    { $arrayElemAt: ['$history.createdAt', { $subtract: ['$$i', 1] }] },
+                  ],
+                },
+                to: { $ifNull: [{ $arrayElemAt: ['$history.createdAt', '$$i'] }, now] },
+              },
+            },
+          },
+        },
+      },
+      { $unwind: '$stints' },
+      { $match: { 'stints.status': { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: { status: '$stints.status', lead: '$_id' },
+          totalMs: { $sum: { $max: [0, { $subtract: ['$stints.to', '$stints.from'] }] } },
+          stints: { $sum: 1 },
+        },
+      },
+      {
+        $group: {
+          _id: '$_id.status',
+          totalMs: { $sum: '$totalMs' },
+          stints: { $sum: '$stints' },
+          leads: { $sum: 1 },
+        },
+      },
+    ]);
+    
+    res.json(groups.map((group) => ({
+      status: group._id,
+      leads: group.leads,
+      stints: group.stints,
+      averageDays: group.totalMs / group.leads / DAY_MS,
+      averageStintDays: group.totalMs / group.stints / DAY_MS,
+    })));
+  } catch (error) {
+    console.error('Error fetching time in status:', error);
+    res.status(500).json({ message: 'Server error fetching time in status' });
+  }
+});
+
+// Leads created per day or ISO week
+router.get('/trend', validate({ query: trendQuery }), async (req, res) => {
+  try {
+    const format = req.query.interval === 'week' ? '%G-W%V' : '%Y-%m-%d';
+    
+    const trend = await Lead.aggregate([
+      { $match: await reportFilter(req) },
+      { $group: { _id: { $dateToString: { format, date: '$createdAt' } }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]);
+    
+    res.json({
+      interval: req.query.interval,
+      data: trend.map((item) => ({ period: item._id, count: item.count })),
+    });
+  } catch (error) {
+    console.error('Error fetching lead trend:', error);
+    res.status(500).json({ message: 'Server error fetching lead trend' });
+  }
+});
+
+// Per-agent numbers: assigned, contacted (moved past the first stage), won and lost.
+// Users without leads.read.all only get their own row and those of their team members.
+router.get('/agents', validate({ query: rangeQuery }), async (req, res) => {
+  try {
+    const filter = { ...(await reportFilter(req)), assignedTo: { $ne: null } };
+    
+    const groups = await Lead.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: { assignedTo: '$assignedTo', pipeline: '$pipeline', status: '$status' },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+    
+    const stageIndex = await loadStageIndex();
+    const stats = new Map();
+    
+    groups.forEach(({ _id, count }) => {
+      const key = _id.assignedTo.toString();
+      if (!stats.has(key)) {
+        stats.set(key, { agent: key, assigned: 0, contacted: 0, won: 0, lost: 0 });
+      }
+      
+      const row = stats.get(key);
+      const stage = stageIndex.get(`${_id.pipeline}:${_id.status}`);
+      
+      row.assigned += count;
+      if (stage && stage.position > 0) row.contacted += count;
+      if (stage && stage.type === 'won') row.won += count;
+      if (stage && stage.type === 'lost') row.lost += count;
+    });
+    
+    const users = await User.find({ _id: { $in: [...stats.keys()] } }).select('name email isActive');
+    const userById = new Map(users.map((user) => [user._id.toString(), user]));
+    
+    res.json([...stats.values()]
+      .map((row) => ({
+        ...row,
+        agent: userById.get(row.agent) || { _id: row.agent },
+        winRate: row.won + row.lost > 0 ? row.won / (row.won + row.lost) : 0,
+      }))
+      .sort((a, b) => b.assigned - a.assigned));
+  } catch (error) {
+    console.error('Error fetching agent performance:', error);
+    res.status(500).json({ message: 'Server error fetching agent performance' });
+  }
+});
+
+export default router;
@@ -0,0 +1,115 @@
+import express from 'express';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { requirePermission } from '../middleware/auth.js';
+import { generateApiKey } from '../middleware/apiKey.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validation/common.js';
+import { createApiKeyBody, updateApiKeyBody } from '../validation/apiKeys.js';
+
+const router = express.Router();
+
+// All API key routes need the api_keys.manage permission
+router.use(requirePermission('api_keys.manage'));
+
+// A default assignee must be an active user
+const checkDefaultAssignee = async (assigneeId) => {
+  if (!assigneeId) return true;
+  const user = await User.findById(assigneeId);
+  return Boolean(user && user.isActive);
+};
+
+// Get all API keys (the keys themselves are never returned)
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('defaultTags', 'name color')
+      .populate('defaultAssignee', 'name email')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+    res.json(apiKeys);
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ message: 'Server error fetching API keys' });
+  }
+});
+
+// Create an API key. The full key is only returned in this response.
+router.post('/', validate({ body: createApiKeyBody }), async (req, res) => {
+  try {
+    if (!(await checkDefaultAssignee(req.body.defaultAssignee))) {
+      return res.status(400).json({ message: 'Default assignee must be an active user' });
+    }
+    
+    const { key, prefix, keyHash } = generateApiKey();
+    
+    const apiKey = new ApiKey({
+      ...req.body,
+      prefix,
+      keyHash,
+      createdBy: req.user.id,
+    });
+    
+    await apiKey.save();
+    
+    const data = apiKey.toObject();
+    delete data.keyHash;
+    
+    res.status(201).json({ ...data, key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ message: 'Server error creating API key' });
+  }
+});
+
+// Update an API key's name, defaults or rate limit
+router.put('/:id', validate({ params: idParams, body: updateApiKeyBody }), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    
+    if (!(await checkDefaultAssignee(req.body.defaultAssignee))) {
+      return res.status(400).json({ message: 'Default assignee must be an active user' });
+    }
+    
+    Object.entries(req.body).forEach(([field, value]) => {
+      if (value !== undefined) apiKey[field] = value;
+    });
+    
+    await apiKey.save();
+    
+    res.json(apiKey);
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({ message: 'Server error updating API key' });
+  }
+});
+
+// Revoke an API key. Revoked keys stop working immediately and cannot be restored.
+router.post('/:id/revoke', validate({ params: idParams }), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key is already revoked' });
+    }
+    
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user.id;
+    await apiKey.save();
+    
+    res.json(apiKey);
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ message: 'Server error revoking API key' });
+  }
+});
+
+export default router;
@@ -0,0 +1,98 @@
+import express from 'express';
+import AssignmentRule from '../models/AssignmentRule.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validation/common.js';
+import { createRuleBody, updateRuleBody } from '../validation/assignmentRules.js';
+
+const router = express.Router();
+
+// All assignment rule routes need the assignment_rules.manage permission
+router.use(requirePermission('assignment_rules.manage'));
+
+// Get all assignment rules in the order they are tried
+router.get('/', async (req, res) => {
+  try {
+    const rules = await AssignmentRule.find()
+      .populate('agents', 'name email isActive')
+      .sort({ priority: 1, createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching assignment rules:', error);
+    res.status(500).json({ message: 'Server error fetching assignment rules' });
+  }
+});
+
+// Get assignment rule by ID
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findById(req.params.id)
+      .populate('agents', 'name email isActive');
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Assignment rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error fetching assignment rule:', error);
+    res.status(500).json({ message: 'Server error fetching assignment rule' });
+  }
+});
+
+// Create an assignment rule
+router.post('/', validate({ body: createRuleBody }), async (req, res) => {
+  try {
+    const rule = new AssignmentRule({
+      ...req.body,
+      createdBy: req.user.id,
+    });
+
+    await rule.save();
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating assignment rule:', error);
+    res.status(500).json({ message: 'Server error creating assignment rule' });
+  }
+});
+
+// Update an assignment rule
+router.put('/:id', validate({ params: idParams, body: updateRuleBody }), async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Assignment rule not found' });
+    }
+
+    Object.entries(req.body).forEach(([field, value]) => {
+      if (value !== undefined) rule[field] = value;
+    });
+
+    await rule.save();
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating assignment rule:', error);
+    res.status(500).json({ message: 'Server error updating assignment rule' });
+  }
+});
+
+// Delete an assignment rule
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Assignment rule not found' });
+    }
+
+    res.json({ message: 'Assignment rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting assignment rule:', error);
+    res.status(500).json({ message: 'Server error deleting assignment rule' });
+  }
+});
+
+export default router;
@@ -1,15 +1,53 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { validate, sendValidationErrors } from '../middleware/validate.js';
+import {
+  registerBody,
+  loginBody,
+  refreshTokenBody,
+  acceptInviteBody,
+  forgotPasswordBody,
+  resetPasswordBody,
+  changePasswordBody,
+} from '../validation/auth.js';
+import { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeUserSessions } from '../utils/tokens.js';
+import { hashPassword, checkPasswordPersonalInfo } from '../utils/passwords.js';
+import { createUserToken, findUserToken, consumeUserToken, discardUserTokens } from '../utils/userTokens.js';
+import { sendPasswordResetEmail, sendPasswordChangedEmail } from '../utils/accountEmails.js';
+import { registrationError, REGISTRATION_ROLE } from '../utils/registration.js';
+import { isLocked, recordFailedLogin, clearFailedLogins, lockedMessage } from '../utils/loginAttempts.js';
+import { createRateLimiter, applyRateLimit } from '../utils/rateLimit.js';
 
 const router = express.Router();
 
-// Register a new user
-router.post('/register', async (req, res) => {
+// Attempts allowed per 15 minutes from one IP address, and against one email address
+const RATE_WINDOW_MS = 15 * 60 * 1000;
+const IP_LIMIT = parseInt(process.env.AUTH_RATE_LIMIT_IP || '50');
+const EMAIL_LIMIT = parseInt(process.env.AUTH_RATE_LIMIT_EMAIL || '10');
+const limiter = createRateLimiter({ windowMs: RATE_WINDOW_MS });
+
+const rateLimitByIp = (action) => (req, res, next) => {
+  const result = limiter.hit(`${action}:ip:${req.ip}`, IP_LIMIT);
+  if (applyRateLimit(res, result, IP_LIMIT)) next();
+};
+
+// Runs after validation, so the email is already normalized
+const rateLimitByEmail = (action) => (req, res, next) => {
+  const result = limiter.hit(`${action}:email:${req.body.email}`, EMAIL_LIMIT);
+  if (applyRateLimit(res, result, EMAIL_LIMIT)) next();
+};
+
+// Register a new user, if REGISTRATION_MODE allows it
+router.post('/register', rateLimitByIp('register'), validate({ body: registerBody }), async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
+    
+    const notAllowed = registrationError(email);
+    if (notAllowed) {
+      return res.status(403).json({ message: notAllowed });
+    }
     
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -17,29 +55,22 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'User already exists with this email' });
     }
     
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-    
     // Create new user
     const user = new User({
       name,
       email,
-      password: hashedPassword,
-      role: role || 'agent', // Default role is agent
+      password: await hashPassword(password),
+      passwordChangedAt: new Date(),
+      role: REGISTRATION_ROLE,
     });
     
     await user.save();
     
-    // Create token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET || 'your_jwt_secret',
-      { expiresIn: '7d' }
-    );
+    // Create access and refresh tokens
+    const tokens = await issueTokens(user, req);
     
     res.status(201).json({
-      token,
+      ...tokens,
       user: {
         _id: user._id,
         name: user.name,
@@ -53,14 +84,14 @@ router.post('/register', async (req, res) => {
   }
 });
 
-// Login
-router.post('/login', async (req, res) => {
+// Login. Too many failed passwords lock the account for a while.
+router.post('/login', rateLimitByIp('login'), validate({ body: loginBody }), rateLimitByEmail('login'), async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    // Check if user exists
+    // Check if user exists (users in the trash cannot log in)
     const user = await User.findOne({ email });
-    if (!user) {
+    if (!user || user.deletedAt) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
     
@@ -69,25 +100,38 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Account is disabled' });
     }
     
+    // A locked account is refused before the password is checked
+    if (isLocked(user)) {
+      return res.status(423).json({ message: lockedMessage(user.lockedUntil) });
+    }
+    
+    // Invited users have no password until they accept their invite
+    if (!user.password) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+    
     // Validate password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      const lockedUntil = await recordFailedLogin(user);
+      if (lockedUntil) {
+        return res.status(423).json({ message: lockedMessage(lockedUntil) });
+      }
       return res.status(400).json({ message: 'Invalid credentials' });
     }
     
-    // Update last login
+    // Update last login and forget earlier failed attempts
     user.lastLogin = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
     await user.save();
+    limiter.reset(`login:email:${email}`);
     
-    // Create token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET || 'your_jwt_secret',
-      { expiresIn: '7d' }
-    );
+    // Create access and refresh tokens
+    const tokens = await issueTokens(user, req);
     
     res.json({
-      token,
+      ...tokens,
       user: {
         _id: user._id,
         name: user.name,
@@ -101,7 +145,218 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Validate token and get user data
+// Exchange a refresh token for a new access and refresh token
+router.post('/refresh', validate({ body: refreshTokenBody }), async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+    
+    const { user, ...tokens } = result;
+    
+    res.json({
+      ...tokens,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      }
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// Log out of this session by revoking its refresh token
+router.post('/logout', validate({ body: refreshTokenBody }), async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Log out of every session, including the current one
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id);
+    
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Rejects a password built from the user's own email or name
+const personalInfoErrors = (password, user) => {
+  return checkPasswordPersonalInfo(password, user).map((message) => ({
+    location: 'body',
+    field: 'password',
+    message,
+  }));
+};
+
+// Set the password of an invited user and sign them in
+router.post('/accept-invite', rateLimitByIp('accept-invite'), validate({ body: acceptInviteBody }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    const invite = await findUserToken(token, 'invite');
+    const user = invite && await User.findById(invite.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invite is invalid or has expired' });
+    }
+    
+    // The link stays usable until a valid password is chosen
+    const errors = personalInfoErrors(password, user);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    if (!await consumeUserToken(token, 'invite')) {
+      return res.status(400).json({ message: 'Invite is invalid or has expired' });
+    }
+    
+    user.password = await hashPassword(password);
+    user.passwordChangedAt = new Date();
+    user.inviteAcceptedAt = new Date();
+    user.lastLogin = new Date();
+    await user.save();
+    
+    const tokens = await issueTokens(user, req);
+    
+    res.json({
+      ...tokens,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      }
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ message: 'Server error accepting invite' });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the
+// email belongs to an account, so it cannot be used to discover users.
+router.post('/forgot-password', rateLimitByIp('forgot-password'), validate({ body: forgotPasswordBody }), rateLimitByEmail('forgot-password'), async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    
+    // Invited users who have not set a password yet should use their invite
+    if (user && user.isActive && user.password) {
+      const token = await createUserToken(user._id, 'reset');
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Error sending password reset email:', error);
+      }
+    }
+    
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error requesting password reset' });
+  }
+});
+
+// Set a new password with a reset token. Every existing session is ended.
+router.post('/reset-password', rateLimitByIp('reset-password'), validate({ body: resetPasswordBody }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    const reset = await findUserToken(token, 'reset');
+    const user = reset && await User.findById(reset.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+    
+    const errors = personalInfoErrors(password, user);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    if (!await consumeUserToken(token, 'reset')) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+    
+    user.password = await hashPassword(password);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    
+    await revokeUserSessions(user._id);
+    await discardUserTokens(user._id, 'reset');
+    // Resetting the password proves ownership, so it also lifts a lockout
+    await clearFailedLogins(user._id);
+    
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error resetting password' });
+  }
+});
+
+// Change your own password. Other sessions are ended and this one gets new tokens.
+router.post('/change-password', authenticateToken, rateLimitByIp('change-password'), validate({ body: changePasswordBody }), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const isMatch = user.password && await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return sendValidationErrors(res, [
+        { location: 'body', field: 'currentPassword', message: 'Current password is incorrect' },
+      ]);
+    }
+    
+    const errors = personalInfoErrors(newPassword, user).map((error) => ({ ...error, field: 'newPassword' }));
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    user.password = await hashPassword(newPassword);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    
+    await revokeUserSessions(user._id);
+    await discardUserTokens(user._id, 'reset');
+    
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (error) {
+      console.error('Error sending password changed email:', error);
+    }
+    
+    // revokeUserSessions bumped the token version, so reload it before signing
+    const current = await User.findById(user._id);
+    const tokens = await issueTokens(current, req);
+    
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens,
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error changing password' });
+  }
+});
+
+// Validate token and get user data with the permissions of their role
 router.get('/validate', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
@@ -110,7 +365,7 @@ router.get('/validate', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    res.json({ user });
+    res.json({ user, permissions: req.user.permissions });
   } catch (error) {
     console.error('Token validation error:', error);
     res.status(500).json({ message: 'Server error during token validation' });
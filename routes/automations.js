@@ -0,0 +1,181 @@
+import express from 'express';
+import AutomationRule from '../models/AutomationRule.js';
+import AutomationRun from '../models/AutomationRun.js';
+import Tag from '../models/Tag.js';
+import User from '../models/User.js';
+import Webhook from '../models/Webhook.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate, sendValidationErrors, fromMongooseError } from '../middleware/validate.js';
+import { idParams } from '../validation/common.js';
+import { AUTOMATION_WEBHOOK_EVENT } from '../utils/events.js';
+import { createAutomationRuleBody, updateAutomationRuleBody, listAutomationRunsQuery } from '../validation/automations.js';
+
+const router = express.Router();
+
+// All automation routes need the automations.manage permission
+router.use(requirePermission('automations.manage'));
+
+// Check that the tags, users and webhooks the actions refer to exist. Returns the errors in
+// the shape used by sendValidationErrors.
+const checkActions = async (actions = []) => {
+  const errors = [];
+
+  for (const [index, action] of actions.entries()) {
+    if (action.tag && !(await Tag.exists({ _id: action.tag }))) {
+      errors.push({ location: 'body', field: `actions.${index}.tag`, message: 'Tag not found' });
+    }
+    if (action.user && !(await User.exists({ _id: action.user, isActive: true }))) {
+      errors.push({ location: 'body', field: `actions.${index}.user`, message: 'User must be an active user' });
+    }
+    if (action.webhook && !(await Webhook.exists({ _id: action.webhook, isActive: true, events: AUTOMATION_WEBHOOK_EVENT }))) {
+      errors.push({
+        location: 'body',
+        field: `actions.${index}.webhook`,
+        message: `Webhook must be active and subscribed to ${AUTOMATION_WEBHOOK_EVENT}`,
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Get all automation rules in the order they run
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await AutomationRule.find().sort({ createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching automation rules:', error);
+    res.status(500).json({ message: 'Server error fetching automation rules' });
+  }
+});
+
+// Get automation rule by ID
+router.get('/rules/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const rule = await AutomationRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Automation rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error fetching automation rule:', error);
+    res.status(500).json({ message: 'Server error fetching automation rule' });
+  }
+});
+
+// Create an automation rule. Its actions are carried out as the user creating it.
+router.post('/rules', validate({ body: createAutomationRuleBody }), async (req, res) => {
+  try {
+    const errors = await checkActions(req.body.actions);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const rule = new AutomationRule({
+      ...req.body,
+      createdBy: req.user.id,
+    });
+
+    await rule.save();
+
+    res.status(201).json(rule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error creating automation rule:', error);
+    res.status(500).json({ message: 'Server error creating automation rule' });
+  }
+});
+
+// Update an automation rule
+router.put('/rules/:id', validate({ params: idParams, body: updateAutomationRuleBody }), async (req, res) => {
+  try {
+    const rule = await AutomationRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Automation rule not found' });
+    }
+
+    const errors = await checkActions(req.body.actions);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    Object.entries(req.body).forEach(([field, value]) => {
+      if (value !== undefined) rule[field] = value;
+    });
+
+    await rule.save();
+
+    // Leads that did not meet the old trigger or conditions are checked again
+    if (req.body.trigger || req.body.conditions) {
+      await AutomationRun.deleteMany({ rule: rule._id, status: 'not_matched' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error updating automation rule:', error);
+    res.status(500).json({ message: 'Server error updating automation rule' });
+  }
+});
+
+// Delete an automation rule and its execution log
+router.delete('/rules/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const rule = await AutomationRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Automation rule not found' });
+    }
+
+    await AutomationRun.deleteMany({ rule: rule._id });
+
+    res.json({ message: 'Automation rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting automation rule:', error);
+    res.status(500).json({ message: 'Server error deleting automation rule' });
+  }
+});
+
+// Get the execution log, newest first, by rule, lead or status
+router.get('/runs', validate({ query: listAutomationRunsQuery }), async (req, res) => {
+  try {
+    const { rule, lead, status, page, limit } = req.query;
+
+    const filter = {};
+    if (rule) filter.rule = rule;
+    if (lead) filter.lead = lead;
+    filter.status = status || { $ne: 'not_matched' };
+
+    const runs = await AutomationRun.find(filter)
+      .populate('rule', 'name')
+      .populate('lead', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await AutomationRun.countDocuments(filter);
+
+    res.json({
+      runs,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching automation runs:', error);
+    res.status(500).json({ message: 'Server error fetching automation runs' });
+  }
+});
+
+export default router;
@@ -0,0 +1,149 @@
+import express from 'express';
+import Lead from '../models/Lead.js';
+import User from '../models/User.js';
+import { authenticateApiKey } from '../middleware/apiKey.js';
+import { validate, sendValidationErrors } from '../middleware/validate.js';
+import { captureLeadBody } from '../validation/capture.js';
+import { recordActivity } from '../utils/activity.js';
+import { autoAssign, assignmentActivity } from '../utils/assignment.js';
+import { findDuplicates } from '../utils/duplicates.js';
+import { loadCustomFields, applyCustomFields, customFieldErrors } from '../utils/customFields.js';
+import { emitEvent, serializeLead } from '../utils/events.js';
+import { createRateLimiter, applyRateLimit } from '../utils/rateLimit.js';
+
+const router = express.Router();
+const limiter = createRateLimiter({ windowMs: 60 * 1000 });
+
+// Hidden form field that people leave empty and bots fill in
+const HONEYPOT_FIELD = process.env.CAPTURE_HONEYPOT_FIELD || 'website';
+// Forms may send the time they were rendered (ms since epoch) as _ts;
+// anything submitted faster than this is treated as a bot
+const MIN_FILL_MS = parseInt(process.env.CAPTURE_MIN_FILL_MS || '2000');
+
+// Whether a submission looks like spam
+const isSpam = (body) => {
+  if (body[HONEYPOT_FIELD]) return true;
+  
+  const renderedAt = parseInt(body._ts);
+  if (renderedAt && Date.now() - renderedAt < MIN_FILL_MS) return true;
+  
+  // Names never contain links
+  if (/https?:\/\/|www\./i.test(body.name || '')) return true;
+  
+  return false;
+};
+
+// Rate limit each API key to its configured requests per minute
+const rateLimitByKey = (req, res, next) => {
+  const result = limiter.hit(req.apiKey._id.toString(), req.apiKey.rateLimit);
+  if (applyRateLimit(res, result, req.apiKey.rateLimit)) next();
+};
+
+// Drop spam quietly with a normal-looking response so bots get no signal
+const rejectSpam = (req, res, next) => {
+  if (isSpam(req.body || {})) {
+    return res.status(201).json({ success: true });
+  }
+  next();
+};
+
+// Capture a lead from a web form or landing page (JSON or urlencoded).
+// A submission from an email that already has a lead is added to that lead as a note.
+// Custom field values are checked like any other lead's; fields that do not exist are ignored.
+router.post(
+  '/leads',
+  authenticateApiKey('leads:create'),
+  rateLimitByKey,
+  rejectSpam,
+  validate({ body: captureLeadBody }),
+  async (req, res) => {
+    try {
+      const { name, email, phone, message } = req.body;
+      const { apiKey } = req;
+      const actorId = apiKey.createdBy;
+      const meta = { apiKey: apiKey._id.toString(), apiKeyName: apiKey.name };
+      
+      const fields = await loadCustomFields();
+      const known = new Set(fields.map((field) => field.key));
+      const customValues = Object.fromEntries(
+        Object.entries(req.body.customFields).filter(([key]) => known.has(key))
+      );
+      
+      const [existing] = (await findDuplicates({ email }))
+        .filter((match) => match.reasons.includes('email'));
+      
+      if (existing) {
+        const lead = await Lead.findById(existing.lead._id);
+        const content = `Form submission via ${apiKey.name}${message ? `:\n${message}` : ''}`;
+        
+        // Like the phone number, custom values only fill in what the lead is missing
+        const current = lead.customFields || {};
+        const missing = Object.fromEntries(
+          Object.entries(customValues).filter(([key]) => current[key] === undefined)
+        );
+        const custom = applyCustomFields(fields, missing, current);
+        if (custom.errors.length > 0) {
+          return sendValidationErrors(res, customFieldErrors(custom.errors));
+        }
+        
+        lead.notes.unshift({ content, createdBy: actorId, createdAt: new Date() });
+        if (phone && !lead.phone) lead.phone = phone;
+        lead.customFields = custom.values;
+        await lead.save();
+        
+        await recordActivity({ lead: lead._id, type: 'note_added', newValue: content, meta, createdBy: actorId });
+        emitEvent('note.added', { lead: serializeLead(lead), note: lead.notes[0].toObject() }, actorId);
+        
+        return res.status(201).json({ success: true, id: lead._id });
+      }
+      
+      const custom = applyCustomFields(fields, customValues);
+      if (custom.errors.length > 0) {
+        return sendValidationErrors(res, customFieldErrors(custom.errors));
+      }
+      
+      // A default assignee who has since been disabled or trashed is passed over
+      const defaultAssignee = apiKey.defaultAssignee
+        && await User.exists({ _id: apiKey.defaultAssignee, isActive: true, deletedAt: null })
+        ? apiKey.defaultAssignee
+        : null;
+      
+      const lead = new Lead({
+        name,
+        email,
+        phone,
+        customFields: custom.values,
+        source: apiKey.defaultSource,
+        tags: apiKey.defaultTags,
+        assignedTo: defaultAssignee,
+        createdBy: actorId,
+      });
+      
+      if (message) {
+        lead.notes.push({ content: message, createdBy: actorId, createdAt: new Date() });
+      }
+      
+      // Keys without an active default assignee go through the assignment rules
+      const assignment = await autoAssign(lead);
+      
+      await lead.save();
+      
+      await recordActivity([
+        { lead: lead._id, type: 'created', meta, createdBy: actorId },
+        ...(assignment ? [assignmentActivity(lead, assignment, actorId)] : []),
+      ]);
+      
+      emitEvent('lead.created', { lead: serializeLead(lead), apiKey: meta.apiKey }, actorId);
+      if (lead.assignedTo) {
+        emitEvent('lead.assigned', { lead: serializeLead(lead), from: null, to: lead.assignedTo.toString() }, actorId);
+      }
+      
+      res.status(201).json({ success: true, id: lead._id });
+    } catch (error) {
+      console.error('Error capturing lead:', error);
+      res.status(500).json({ message: 'Server error capturing lead' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,136 @@
+import express from 'express';
+import CustomField from '../models/CustomField.js';
+import Lead from '../models/Lead.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate, sendValidationErrors, fromMongooseError } from '../middleware/validate.js';
+import { idParams } from '../validation/common.js';
+import { createCustomFieldBody, updateCustomFieldBody } from '../validation/customFields.js';
+import { removeCustomField } from '../utils/customFields.js';
+
+const router = express.Router();
+
+// Get all custom fields, in display order
+router.get('/', async (req, res) => {
+  try {
+    const fields = await CustomField.find().sort({ order: 1, label: 1 });
+    res.json(fields);
+  } catch (error) {
+    console.error('Error fetching custom fields:', error);
+    res.status(500).json({ message: 'Server error fetching custom fields' });
+  }
+});
+
+// Get custom field by ID
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+
+    res.json(field);
+  } catch (error) {
+    console.error('Error fetching custom field:', error);
+    res.status(500).json({ message: 'Server error fetching custom field' });
+  }
+});
+
+// Create a custom field (custom_fields.manage)
+router.post('/', requirePermission('custom_fields.manage'), validate({ body: createCustomFieldBody }), async (req, res) => {
+  try {
+    const { key, label, type, required, options, order } = req.body;
+
+    const existingField = await CustomField.findOne({ key });
+    if (existingField) {
+      return res.status(400).json({ message: 'Custom field already exists' });
+    }
+
+    // New fields go last unless an order is given
+    const field = new CustomField({
+      key,
+      label,
+      type,
+      required,
+      options,
+      order: order === undefined ? await CustomField.countDocuments() : order,
+      createdBy: req.user.id,
+    });
+
+    await field.save();
+
+    res.status(201).json(field);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error creating custom field:', error);
+    res.status(500).json({ message: 'Server error creating custom field' });
+  }
+});
+
+// Update a custom field (custom_fields.manage)
+// Options can only be removed once no lead uses them. Making a field required applies
+// to leads created from then on and to updates that change the field.
+router.put('/:id', requirePermission('custom_fields.manage'), validate({ params: idParams, body: updateCustomFieldBody }), async (req, res) => {
+  try {
+    const { label, required, options, order } = req.body;
+
+    const field = await CustomField.findById(req.params.id);
+    if (!field) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+
+    if (options) {
+      const kept = new Set(options.map((option) => option.toLowerCase()));
+      const removed = field.options.filter((option) => !kept.has(option.toLowerCase()));
+
+      if (removed.length > 0) {
+        const inUse = await Lead.countDocuments({ [`customFields.${field.key}`]: { $in: removed } });
+        if (inUse > 0) {
+          return res.status(400).json({
+            message: `Change the ${inUse} leads using options ${removed.join(', ')} before removing them`,
+          });
+        }
+      }
+
+      field.options = options;
+    }
+
+    if (label) field.label = label;
+    if (required !== undefined) field.required = required;
+    if (order !== undefined) field.order = order;
+
+    await field.save();
+
+    res.json(field);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error updating custom field:', error);
+    res.status(500).json({ message: 'Server error updating custom field' });
+  }
+});
+
+// Delete a custom field, its values on every lead and the rule conditions and saved
+// view filters using it (custom_fields.manage)
+router.delete('/:id', requirePermission('custom_fields.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+
+    await CustomField.findByIdAndDelete(req.params.id);
+    await removeCustomField(field.key);
+
+    res.json({ message: 'Custom field deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting custom field:', error);
+    res.status(500).json({ message: 'Server error deleting custom field' });
+  }
+});
+
+export default router;
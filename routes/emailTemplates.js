@@ -0,0 +1,157 @@
+import express from 'express';
+import EmailTemplate from '../models/EmailTemplate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate, sendValidationErrors, fromMongooseError } from '../middleware/validate.js';
+import { READ_LEADS } from '../utils/permissions.js';
+import { loadCustomFields } from '../utils/customFields.js';
+import { TEMPLATE_PLACEHOLDERS, unknownPlaceholders } from '../utils/emailTemplates.js';
+import { idParams } from '../validation/common.js';
+import { createEmailTemplateBody, updateEmailTemplateBody, listEmailTemplatesQuery } from '../validation/emailTemplates.js';
+
+const router = express.Router();
+
+// Errors for placeholders that cannot be filled in, in the shape used by sendValidationErrors
+const placeholderErrors = async (fields) => {
+  const customFields = await loadCustomFields();
+  return Object.entries(fields)
+    .filter(([, text]) => text)
+    .flatMap(([field, text]) => unknownPlaceholders(text, customFields).map((name) => ({
+      location: 'body',
+      field,
+      message: `Unknown placeholder {{${name}}}`,
+    })));
+};
+
+const nameTaken = (name, excludeId) => {
+  return EmailTemplate.exists({ name, ...(excludeId ? { _id: { $ne: excludeId } } : {}) });
+};
+
+// Get templates for the email composer. Anyone who works on leads can use them.
+router.get('/', requirePermission(READ_LEADS), validate({ query: listEmailTemplatesQuery }), async (req, res) => {
+  try {
+    const filter = req.query.includeInactive ? {} : { isActive: true };
+    const templates = await EmailTemplate.find(filter).sort({ name: 1 });
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({ message: 'Server error fetching email templates' });
+  }
+});
+
+// Get the placeholders templates can use
+router.get('/placeholders', requirePermission(READ_LEADS), async (req, res) => {
+  try {
+    const customFields = await loadCustomFields();
+    res.json([
+      ...TEMPLATE_PLACEHOLDERS,
+      ...customFields.map((field) => `lead.cf.${field.key}`),
+    ]);
+  } catch (error) {
+    console.error('Error fetching template placeholders:', error);
+    res.status(500).json({ message: 'Server error fetching template placeholders' });
+  }
+});
+
+// Get email template by ID
+router.get('/:id', requirePermission(READ_LEADS), validate({ params: idParams }), async (req, res) => {
+  try {
+    const template = await EmailTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    res.status(500).json({ message: 'Server error fetching email template' });
+  }
+});
+
+// Create an email template (email_templates.manage)
+router.post('/', requirePermission('email_templates.manage'), validate({ body: createEmailTemplateBody }), async (req, res) => {
+  try {
+    const { name, subject, body, isActive } = req.body;
+
+    if (await nameTaken(name)) {
+      return res.status(400).json({ message: 'An email template with this name already exists' });
+    }
+
+    const errors = await placeholderErrors({ subject, body });
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const template = new EmailTemplate({
+      name,
+      subject,
+      body,
+      isActive,
+      createdBy: req.user.id,
+    });
+
+    await template.save();
+
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error creating email template:', error);
+    res.status(500).json({ message: 'Server error creating email template' });
+  }
+});
+
+// Update an email template (email_templates.manage)
+router.put('/:id', requirePermission('email_templates.manage'), validate({ params: idParams, body: updateEmailTemplateBody }), async (req, res) => {
+  try {
+    const { name, subject, body, isActive } = req.body;
+
+    const template = await EmailTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+
+    if (name && name !== template.name && await nameTaken(name, template._id)) {
+      return res.status(400).json({ message: 'An email template with this name already exists' });
+    }
+
+    const errors = await placeholderErrors({ subject, body });
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    if (name) template.name = name;
+    if (subject) template.subject = subject;
+    if (body) template.body = body;
+    if (isActive !== undefined) template.isActive = isActive;
+
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error updating email template:', error);
+    res.status(500).json({ message: 'Server error updating email template' });
+  }
+});
+
+// Delete an email template (email_templates.manage). Emails sent with it stay logged.
+router.delete('/:id', requirePermission('email_templates.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const template = await EmailTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+
+    res.json({ message: 'Email template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting email template:', error);
+    res.status(500).json({ message: 'Server error deleting email template' });
+  }
+});
+
+export default router;
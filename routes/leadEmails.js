@@ -0,0 +1,124 @@
+import express from 'express';
+import Lead from '../models/Lead.js';
+import User from '../models/User.js';
+import EmailLog from '../models/EmailLog.js';
+import EmailTemplate from '../models/EmailTemplate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { canAccessLead } from '../utils/leadAccess.js';
+import { renderLeadEmail, sendLeadEmail } from '../utils/leadEmails.js';
+import { idParams } from '../validation/common.js';
+import { leadEmailsQuery, previewLeadEmailBody, sendLeadEmailBody } from '../validation/emailTemplates.js';
+
+// Mounted at /api/leads/:id/emails
+const router = express.Router({ mergeParams: true });
+
+// Load the lead and check the user can work on it. Sends the error response and
+// returns null otherwise.
+const loadLead = async (req, res, action) => {
+  const lead = await Lead.findById(req.params.id);
+
+  if (!lead) {
+    res.status(404).json({ message: 'Lead not found' });
+    return null;
+  }
+
+  if (!(await canAccessLead(req.user, lead))) {
+    res.status(403).json({ message: `Not authorized to ${action} this lead` });
+    return null;
+  }
+
+  return lead;
+};
+
+// The template an email uses, or its own subject and body
+const emailContent = async ({ templateId, subject, body }) => {
+  if (!templateId) return { subject, body };
+  const template = await EmailTemplate.findOne({ _id: templateId, isActive: true });
+  return template && { template, subject: template.subject, body: template.body };
+};
+
+// Get the emails sent to a lead, newest first
+router.get('/', validate({ params: idParams, query: leadEmailsQuery }), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const lead = await loadLead(req, res, 'view');
+    if (!lead) return;
+
+    const emails = await EmailLog.find({ lead: lead._id })
+      .populate('sentBy', 'name email')
+      .populate('template', 'name')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await EmailLog.countDocuments({ lead: lead._id });
+
+    res.json({
+      emails,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching lead emails:', error);
+    res.status(500).json({ message: 'Server error fetching lead emails' });
+  }
+});
+
+// Show an email as it would be sent to the lead, with the placeholders filled in
+router.post('/preview', validate({ params: idParams, body: previewLeadEmailBody }), async (req, res) => {
+  try {
+    const lead = await loadLead(req, res, 'email');
+    if (!lead) return;
+
+    const content = await emailContent(req.body);
+    if (!content) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+
+    const agent = await User.findById(req.user.id).select('name email');
+    const rendered = await renderLeadEmail(lead, agent, content);
+
+    res.json({ to: lead.email, replyTo: agent.email, ...rendered });
+  } catch (error) {
+    console.error('Error previewing lead email:', error);
+    res.status(500).json({ message: 'Server error previewing lead email' });
+  }
+});
+
+// Email a lead from a template or with a subject and body of its own (leads.update).
+// Replies go to the sender. The email is logged on the lead's timeline, and the first
+// one moves a New lead to Contacted unless advanceStatus is false.
+router.post('/', requirePermission('leads.update'), validate({ params: idParams, body: sendLeadEmailBody }), async (req, res) => {
+  try {
+    const lead = await loadLead(req, res, 'email');
+    if (!lead) return;
+
+    const content = await emailContent(req.body);
+    if (!content) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+
+    const agent = await User.findById(req.user.id).select('name email');
+    const { email, statusChange } = await sendLeadEmail(lead, agent, {
+      ...content,
+      advanceStatus: req.body.advanceStatus,
+    });
+
+    if (email.status === 'failed') {
+      return res.status(502).json({ message: 'Email could not be sent', email });
+    }
+
+    res.status(201).json({ email, statusChange });
+  } catch (error) {
+    console.error('Error sending lead email:', error);
+    res.status(500).json({ message: 'Server error sending lead email' });
+  }
+});
+
+export default router;
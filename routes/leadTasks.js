@@ -0,0 +1,201 @@
+import express from 'express';
+import Lead from '../models/Lead.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { recordActivity } from '../utils/activity.js';
+import { canAccessLead, canAssignTo, canSeeAllLeads } from '../utils/leadAccess.js';
+import { leadTaskParams, leadTasksQuery, createTaskBody, updateTaskBody } from '../validation/tasks.js';
+
+// Mounted at /api/leads/:id/tasks. Seeing tasks needs lead read access, changing them leads.update.
+const router = express.Router({ mergeParams: true });
+
+// Check that a task can be given to this user. Without leads.assign users can only
+// assign tasks to themselves, or to members of the teams they manage.
+const checkAssignee = async (req, assignedTo) => {
+  if (assignedTo !== req.user.id && !(await canAssignTo(req.user, assignedTo))) {
+    return 'You can only assign tasks to yourself or your team';
+  }
+  
+  const user = await User.findById(assignedTo);
+  if (!user || !user.isActive) {
+    return 'Assignee must be an active user';
+  }
+  
+  return null;
+};
+
+// Get the tasks of a lead
+router.get('/', validate({ params: leadTaskParams, query: leadTasksQuery }), async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ message: 'Lead not found' });
+    }
+    
+    if (!(await canAccessLead(req.user, lead))) {
+      return res.status(403).json({ message: 'Not authorized to view this lead' });
+    }
+    
+    const filter = { lead: lead._id };
+    if (!req.query.includeCompleted) filter.completed = false;
+    
+    const tasks = await Task.find(filter)
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name')
+      .sort({ completed: 1, dueDate: 1 });
+    
+    res.json(tasks);
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ message: 'Server error fetching tasks' });
+  }
+});
+
+// Create a task on a lead
+router.post('/', requirePermission('leads.update'), validate({ params: leadTaskParams, body: createTaskBody }), async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ message: 'Lead not found' });
+    }
+    
+    if (!(await canAccessLead(req.user, lead))) {
+      return res.status(403).json({ message: 'Not authorized to add tasks to this lead' });
+    }
+    
+    // Tasks default to the lead's assignee, or the creator for unassigned leads
+    const leadAssignee = lead.assignedTo?.toString();
+    const assignedTo = req.body.assignedTo
+      || (leadAssignee && await canAssignTo(req.user, leadAssignee) && leadAssignee)
+      || req.user.id;
+    
+    const assigneeError = await checkAssignee(req, assignedTo);
+    if (assigneeError) {
+      return res.status(400).json({ message: assigneeError });
+    }
+    
+    const task = new Task({
+      ...req.body,
+      lead: lead._id,
+      assignedTo,
+      createdBy: req.user.id,
+    });
+    
+    await task.save();
+    
+    await recordActivity({
+      lead: lead._id,
+      type: 'task_created',
+      newValue: task.title,
+      meta: { task: task._id.toString(), type: task.type, dueDate: task.dueDate },
+      createdBy: req.user.id,
+    });
+    
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name');
+    
+    res.status(201).json(populatedTask);
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({ message: 'Server error creating task' });
+  }
+});
+
+// Update a task, including marking it complete
+router.put('/:taskId', requirePermission('leads.update'), validate({ params: leadTaskParams, body: updateTaskBody }), async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ message: 'Lead not found' });
+    }
+    
+    if (!(await canAccessLead(req.user, lead))) {
+      return res.status(403).json({ message: 'Not authorized to update tasks on this lead' });
+    }
+    
+    const task = await Task.findOne({ _id: req.params.taskId, lead: lead._id });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    const { assignedTo, completed, ...fields } = req.body;
+    
+    if (assignedTo && assignedTo !== task.assignedTo.toString()) {
+      const assigneeError = await checkAssignee(req, assignedTo);
+      if (assigneeError) {
+        return res.status(400).json({ message: assigneeError });
+      }
+      task.assignedTo = assignedTo;
+    }
+    
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value !== undefined) task[field] = value;
+    });
+    
+    const justCompleted = completed === true && !task.completed;
+    if (completed !== undefined) {
+      task.completed = completed;
+      if (justCompleted) task.completedBy = req.user.id;
+    }
+    
+    await task.save();
+    
+    if (justCompleted) {
+      await recordActivity({
+        lead: lead._id,
+        type: 'task_completed',
+        newValue: task.title,
+        meta: { task: task._id.toString(), type: task.type },
+        createdBy: req.user.id,
+      });
+    }
+    
+    const updatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name');
+    
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({ message: 'Server error updating task' });
+  }
+});
+
+// Delete a task (its creator, or Admin and Super Admin)
+router.delete('/:taskId', requirePermission('leads.update'), validate({ params: leadTaskParams }), async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ message: 'Lead not found' });
+    }
+    
+    if (!(await canAccessLead(req.user, lead))) {
+      return res.status(403).json({ message: 'Not authorized to delete tasks on this lead' });
+    }
+    
+    const task = await Task.findOne({ _id: req.params.taskId, lead: lead._id });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (!canSeeAllLeads(req.user) && task.createdBy.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to delete this task' });
+    }
+    
+    await Task.findByIdAndDelete(task._id);
+    
+    res.json({ message: 'Task deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    res.status(500).json({ message: 'Server error deleting task' });
+  }
+});
+
+export default router;
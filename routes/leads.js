@@ -1,65 +1,70 @@
 import express from 'express';
 import multer from 'multer';
-import xlsx from 'xlsx';
 import Lead from '../models/Lead.js';
-import { checkRole } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import Tag from '../models/Tag.js';
+import User from '../models/User.js';
+import Activity from '../models/Activity.js';
+import EmailLog from '../models/EmailLog.js';
+import Task from '../models/Task.js';
+import ImportJob from '../models/ImportJob.js';
+import leadTaskRoutes from './leadTasks.js';
+import leadEmailRoutes from './leadEmails.js';
+import { snapshotLead, diffLead, recordActivity } from '../utils/activity.js';
+import { buildLeadFilter, buildLeadSort } from '../utils/leadFilters.js';
+import { applySavedView } from '../utils/savedViews.js';
+import { searchTerms, highlightLead, prefixFilter } from '../utils/leadSearch.js';
+import { exportColumns, writeExport, EXPORT_FORMATS, XLSX_MAX_ROWS } from '../utils/leadExport.js';
+import { loadCustomFields, applyCustomFields, customFieldErrors, CUSTOM_FIELD_PREFIX } from '../utils/customFields.js';
+import { findDuplicates } from '../utils/duplicates.js';
+import { autoAssign, assignmentActivity } from '../utils/assignment.js';
+import { readSheet, suggestMapping, runImport, buildErrorReport } from '../utils/leadImport.js';
+import { runImportJob } from '../jobs/importJobs.js';
+import { canAccessLead, canAssignTo, canReassignLeads, scopeLeadFilter } from '../utils/leadAccess.js';
+import { READ_LEADS, hasPermission } from '../utils/permissions.js';
+import { runBulkAction, BULK_PERMISSIONS } from '../utils/bulkLeads.js';
+import { trashLeads } from '../utils/trash.js';
+import { emitEvent, emitLeadChanges, serializeLead } from '../utils/events.js';
+import { validate, sendValidationErrors, fromMongooseError } from '../middleware/validate.js';
+import { idParams } from '../validation/common.js';
+import {
+  listLeadsQuery,
+  searchLeadsQuery,
+  suggestLeadsQuery,
+  exportLeadsQuery,
+  timelineQuery,
+  createLeadQuery,
+  createLeadBody,
+  updateLeadBody,
+  mergeLeadsBody,
+  bulkLeadsBody,
+  importOptions,
+  importJobParams,
+  IMPORT_FIELDS,
+  noteBody,
+} from '../validation/leads.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Get all leads with filters
-router.get('/', async (req, res) => {
+// Imports with more rows than this run as background jobs
+const IMPORT_BACKGROUND_ROWS = parseInt(process.env.IMPORT_BACKGROUND_ROWS || '500');
+
+// Most leads a single bulk request can change
+const BULK_MAX_LEADS = parseInt(process.env.BULK_MAX_LEADS || '5000');
+
+// Get all leads with filters, optionally starting from a saved view
+router.get('/', requirePermission(READ_LEADS), validate({ query: listLeadsQuery }), async (req, res) => {
   try {
-    const {
-      status,
-      tags,
-      dateFrom,
-      dateTo,
-      assignedTo,
-      source,
-      search,
-      page = 1,
-      limit = 10,
-    } = req.query;
-    
-    const filter = {};
-    
-    // Check user role and filter based on assigned leads
-    if (req.user.role === 'agent') {
-      filter.assignedTo = req.user.id;
-    }
-    
-    // Apply filters
-    if (status) filter.status = status;
-    if (assignedTo && req.user.role !== 'agent') filter.assignedTo = assignedTo;
-    if (source) filter.source = source;
-    
-    // Date range filter
-    if (dateFrom || dateTo) {
-      filter.createdAt = {};
-      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
-      if (dateTo) {
-        const toDate = new Date(dateTo);
-        toDate.setHours(23, 59, 59, 999);
-        filter.createdAt.$lte = toDate;
-      }
-    }
+    const { page = 1, limit = 10 } = req.query;
     
-    // Tag filter
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : tags.split(',');
-      filter.tags = { $in: tagArray };
+    const query = await applySavedView(req.query, req.user);
+    if (!query) {
+      return res.status(404).json({ message: 'Saved view not found' });
     }
     
-    // Search filter
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } },
-      ];
-    }
+    const filter = await buildLeadFilter(query, req.user);
+    const sort = await buildLeadSort(query.sort);
     
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -68,7 +73,8 @@ router.get('/', async (req, res) => {
     const leads = await Lead.find(filter)
       .populate('assignedTo', 'name email')
       .populate('tags', 'name color')
-      .sort({ createdAt: -1 })
+      .populate('pipeline', 'name')
+      .sort(sort)
       .skip(skip)
       .limit(parseInt(limit));
     
@@ -85,17 +91,148 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.name === 'FilterError') {
+      return sendValidationErrors(res, error.errors);
+    }
     console.error('Error fetching leads:', error);
     res.status(500).json({ message: 'Server error fetching leads' });
   }
 });
 
+// Search leads by name, email, phone, tags and note content, best matches first.
+// Takes the list filters too. Each lead comes with its search relevance and highlighted matches.
+router.get('/search', requirePermission(READ_LEADS), validate({ query: searchLeadsQuery }), async (req, res) => {
+  try {
+    const { q, page, limit } = req.query;
+    
+    const filter = await buildLeadFilter(req.query, req.user);
+    filter.$text = { $search: q };
+    
+    const leads = await Lead.find(filter)
+      .select({ relevance: { $meta: 'textScore' } })
+      .populate('assignedTo', 'name email')
+      .populate('tags', 'name color')
+      .populate('pipeline', 'name')
+      .sort({ relevance: { $meta: 'textScore' }, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+    
+    const total = await Lead.countDocuments(filter);
+    const terms = searchTerms(q);
+    
+    res.json({
+      leads: leads.map((lead) => ({
+        ...lead,
+        highlights: highlightLead(lead, terms),
+      })),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    if (error.name === 'FilterError') {
+      return sendValidationErrors(res, error.errors);
+    }
+    console.error('Error searching leads:', error);
+    res.status(500).json({ message: 'Server error searching leads' });
+  }
+});
+
+// Typeahead suggestions: leads whose name, email or phone starts with the text
+router.get('/search/suggest', requirePermission(READ_LEADS), validate({ query: suggestLeadsQuery }), async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    
+    const filter = await scopeLeadFilter(prefixFilter(q), req.user);
+    
+    const leads = await Lead.find(filter)
+      .select('name email phone status')
+      .sort({ name: 1 })
+      .limit(limit);
+    
+    res.json(leads);
+  } catch (error) {
+    console.error('Error suggesting leads:', error);
+    res.status(500).json({ message: 'Server error suggesting leads' });
+  }
+});
+
+// Export leads as CSV, XLSX or NDJSON (leads.export)
+// Takes the list filters, sort and saved views, and a choice of columns. Dates are ISO 8601 in UTC.
+// Registered before /:id so that "export" is not taken for a lead id.
+router.get('/export', requirePermission('leads.export'), validate({ query: exportLeadsQuery }), async (req, res) => {
+  try {
+    const { format, columns } = req.query;
+    
+    const query = await applySavedView(req.query, req.user);
+    if (!query) {
+      return res.status(404).json({ message: 'Saved view not found' });
+    }
+    
+    const filter = await buildLeadFilter(query, req.user);
+    const sort = await buildLeadSort(query.sort);
+    const customFields = await loadCustomFields();
+    
+    const unknownFields = (columns || []).filter((name) => (
+      name.startsWith(CUSTOM_FIELD_PREFIX) && !customFields.some((field) => `${CUSTOM_FIELD_PREFIX}${field.key}` === name)
+    ));
+    if (unknownFields.length > 0) {
+      return sendValidationErrors(res, [
+        { location: 'query', field: 'columns', message: `Unknown custom fields: ${unknownFields.join(', ')}` },
+      ]);
+    }
+    
+    if (format === 'xlsx') {
+      const total = await Lead.countDocuments(filter);
+      if (total > XLSX_MAX_ROWS) {
+        return res.status(400).json({
+          message: `XLSX exports are limited to ${XLSX_MAX_ROWS} leads; use CSV or NDJSON for ${total} leads`,
+        });
+      }
+    }
+    
+    const cursor = Lead.find(filter)
+      .populate('assignedTo', 'name email')
+      .populate('tags', 'name')
+      .populate('pipeline', 'name')
+      .sort(sort)
+      .lean()
+      .cursor();
+    
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename=leads-${date}.${extension}`);
+    res.setHeader('Content-Type', contentType);
+    
+    await writeExport(res, cursor, exportColumns(columns, customFields), format);
+  } catch (error) {
+    if (error.name === 'FilterError') {
+      return sendValidationErrors(res, error.errors);
+    }
+    console.error('Error exporting leads:', error);
+    // Once rows have been sent the response can only be cut short
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ message: 'Server error exporting leads' });
+  }
+});
+
+// Tasks and emails of a lead
+router.use('/:id/tasks', requirePermission(READ_LEADS), leadTaskRoutes);
+router.use('/:id/emails', requirePermission(READ_LEADS), leadEmailRoutes);
+
 // Get lead by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(READ_LEADS), validate({ params: idParams }), async (req, res) => {
   try {
     const lead = await Lead.findById(req.params.id)
       .populate('assignedTo', 'name email')
       .populate('tags', 'name color')
+      .populate('pipeline')
       .populate('notes.createdBy', 'name');
     
     if (!lead) {
@@ -103,7 +240,7 @@ router.get('/:id', async (req, res) => {
     }
     
     // Check if agent is assigned to this lead
-    if (req.user.role === 'agent' && lead.assignedTo?._id.toString() !== req.user.id) {
+    if (!(await canAccessLead(req.user, lead))) {
       return res.status(403).json({ message: 'Not authorized to view this lead' });
     }
     
@@ -114,60 +251,347 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Check that the user may give leads to this assignee. Returns [status, message] when not.
+// Without leads.assign, team managers can only assign to themselves and their members.
+const checkLeadAssignee = async (user, assignedTo) => {
+  if (!(await canAssignTo(user, assignedTo))) {
+    return [403, 'Not authorized to assign leads to this user'];
+  }
+  const assignee = await User.findById(assignedTo).select('isActive');
+  if (!assignee || !assignee.isActive) return [400, 'Assignee must be an active user'];
+  return null;
+};
+
+// Whether every tag id names an existing tag
+const tagsExist = async (tags) => {
+  const found = await Tag.countDocuments({ _id: { $in: tags } });
+  return found === new Set(tags).size;
+};
+
+const missingTagsError = [{ location: 'body', field: 'tags', message: 'One or more tags do not exist' }];
+
 // Create a new lead
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('leads.create'), validate({ query: createLeadQuery, body: createLeadBody }), async (req, res) => {
   try {
     const {
       name,
       email,
       phone,
       source,
-      status = 'New',
+      pipeline,
+      status,
       assignedTo,
       tags = [],
+      customFields,
     } = req.body;
+    const { onDuplicate, fuzzyName } = req.query;
+    
+    if (assignedTo) {
+      const problem = await checkLeadAssignee(req.user, assignedTo);
+      if (problem) {
+        return res.status(problem[0]).json({ message: problem[1] });
+      }
+    }
+    
+    if (!(await tagsExist(tags))) {
+      return sendValidationErrors(res, missingTagsError);
+    }
+    
+    const custom = applyCustomFields(await loadCustomFields(), customFields);
+    if (custom.errors.length > 0) {
+      return sendValidationErrors(res, customFieldErrors(custom.errors));
+    }
     
-    // Validate required fields
-    if (!name || !email) {
-      return res.status(400).json({ message: 'Name and email are required' });
+    // Look for existing leads with the same email, phone or a similar name
+    const duplicates = onDuplicate === 'allow'
+      ? []
+      : await findDuplicates({ name, email, phone }, { fuzzyName });
+    
+    if (duplicates.length > 0 && onDuplicate === 'block') {
+      return res.status(409).json({ message: 'A similar lead already exists', duplicates });
     }
     
-    // Create lead
+    // Create lead (pipeline and status default to the default pipeline's first stage)
     const lead = new Lead({
       name,
       email,
       phone,
       source,
+      pipeline,
       status,
       assignedTo,
       tags,
+      customFields: custom.values,
       createdBy: req.user.id,
     });
     
+    // Leads created without an assignee go through the assignment rules
+    const assignment = await autoAssign(lead);
+    
     await lead.save();
     
+    await recordActivity([
+      {
+        lead: lead._id,
+        type: 'created',
+        createdBy: req.user.id,
+      },
+      ...(assignment ? [assignmentActivity(lead, assignment, req.user.id)] : []),
+    ]);
+    
+    emitEvent('lead.created', { lead: serializeLead(lead) }, req.user.id);
+    if (lead.assignedTo) {
+      emitEvent('lead.assigned', { lead: serializeLead(lead), from: null, to: lead.assignedTo.toString() }, req.user.id);
+    }
+    
     const populatedLead = await Lead.findById(lead._id)
       .populate('assignedTo', 'name email')
-      .populate('tags', 'name color');
+      .populate('tags', 'name color')
+      .populate('pipeline', 'name');
+    
+    if (duplicates.length > 0) {
+      return res.status(201).json({ ...populatedLead.toObject(), duplicates });
+    }
     
     res.status(201).json(populatedLead);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
     console.error('Error creating lead:', error);
     res.status(500).json({ message: 'Server error creating lead' });
   }
 });
 
+// Merge leads into a primary lead (leads.merge)
+// Notes and tags are combined, and each entry in fields names the lead whose
+// value is kept for that field. The merged leads are moved to the trash afterwards.
+router.post('/merge', requirePermission('leads.merge'), validate({ body: mergeLeadsBody }), async (req, res) => {
+  try {
+    const { primaryId, mergeIds, fields } = req.body;
+    
+    const ids = [...new Set([primaryId, ...mergeIds])];
+    const leads = await Lead.find({ _id: { $in: ids } });
+    
+    if (leads.length !== ids.length) {
+      return res.status(404).json({ message: 'One or more leads not found' });
+    }
+    
+    // Every lead involved must be one the user can work on
+    for (const lead of leads) {
+      if (!(await canAccessLead(req.user, lead))) {
+        return res.status(403).json({ message: 'Not authorized to merge these leads' });
+      }
+    }
+    
+    const byId = new Map(leads.map((lead) => [lead._id.toString(), lead]));
+    const primary = byId.get(primaryId);
+    const merged = ids.slice(1).map((id) => byId.get(id));
+    
+    const invalidChoices = Object.entries(fields).filter(([, leadId]) => leadId && !byId.has(leadId));
+    if (invalidChoices.length > 0) {
+      return sendValidationErrors(res, invalidChoices.map(([field]) => ({
+        location: 'body',
+        field: `fields.${field}`,
+        message: 'Must be the ID of one of the merged leads',
+      })));
+    }
+    
+    const before = snapshotLead(primary);
+    
+    // Keep the chosen field values
+    Object.entries(fields).forEach(([field, leadId]) => {
+      if (!leadId) return;
+      const source = byId.get(leadId);
+      if (field === 'status') primary.pipeline = source.pipeline;
+      primary[field] = source[field];
+    });
+    
+    // Custom fields the primary lead has no value for are filled in from the merged leads
+    const customFields = { ...primary.customFields };
+    merged.forEach((lead) => {
+      Object.entries(lead.customFields || {}).forEach(([key, value]) => {
+        if (customFields[key] === undefined) customFields[key] = value;
+      });
+    });
+    primary.customFields = customFields;
+    
+    // Combine tags and notes
+    const tagIds = new Set(primary.tags.map((tag) => tag.toString()));
+    merged.forEach((lead) => lead.tags.forEach((tag) => tagIds.add(tag.toString())));
+    primary.tags = [...tagIds];
+    
+    primary.notes = [
+      ...primary.notes.map((note) => note.toObject()),
+      ...merged.flatMap((lead) => lead.notes.map((note) => note.toObject())),
+    ].sort((a, b) => b.createdAt - a.createdAt);
+    
+    merged.forEach((lead) => {
+      primary.mergedFrom.push({
+        lead: lead._id,
+        name: lead.name,
+        email: lead.email,
+        phone: lead.phone,
+        mergedBy: req.user.id,
+      });
+    });
+    
+    await primary.save();
+    
+    // The surviving lead takes over the history and tasks of the merged ones
+    await Activity.updateMany({ lead: { $in: mergeIds } }, { $set: { lead: primary._id } });
+    await EmailLog.updateMany({ lead: { $in: mergeIds } }, { $set: { lead: primary._id } });
+    await Task.updateMany({ lead: { $in: mergeIds } }, { $set: { lead: primary._id } });
+    // Merged leads go to the trash, so a mistaken merge can be undone by restoring them
+    await trashLeads(merged, req.user.id, { mergedInto: primary._id });
+    
+    const changes = diffLead(before, primary, req.user.id);
+    
+    await recordActivity([
+      ...changes,
+      {
+        lead: primary._id,
+        type: 'merged',
+        newValue: {
+          leads: merged.map((lead) => ({
+            _id: lead._id.toString(),
+            name: lead.name,
+            email: lead.email,
+            phone: lead.phone,
+          })),
+          fields,
+        },
+        createdBy: req.user.id,
+      },
+    ]);
+    
+    emitLeadChanges(primary, changes, req.user.id);
+    
+    const mergedLead = await Lead.findById(primary._id)
+      .populate('assignedTo', 'name email')
+      .populate('tags', 'name color')
+      .populate('pipeline', 'name')
+      .populate('notes.createdBy', 'name');
+    
+    res.json(mergedLead);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error merging leads:', error);
+    res.status(500).json({ message: 'Server error merging leads' });
+  }
+});
+
+// Check the settings of a bulk action. Returns [status, message] when they are not allowed.
+const checkBulkAction = async (req) => {
+  const { action, assignedTo, tags } = req.body;
+  
+  if (!hasPermission(req.user, BULK_PERMISSIONS[action])) {
+    return [403, 'Access denied. Not authorized for this action.'];
+  }
+  
+  if (action === 'assign') {
+    if (assignedTo === null) {
+      if (!canReassignLeads(req.user)) return [403, 'Not authorized to unassign leads'];
+      return null;
+    }
+    return checkLeadAssignee(req.user, assignedTo);
+  }
+  
+  if (tags && !(await tagsExist(tags))) {
+    return [400, 'One or more tags do not exist'];
+  }
+  
+  return null;
+};
+
+// Apply one action to many leads: set_status, assign, add_tags, remove_tags, add_note or delete.
+// Leads are chosen by ids or by the same filters as the lead list, and only leads the
+// user can see are changed. The response reports success or failure for each lead.
+router.post('/bulk', requirePermission(READ_LEADS), validate({ body: bulkLeadsBody }), async (req, res) => {
+  try {
+    const { ids, filter, action } = req.body;
+    
+    const problem = await checkBulkAction(req);
+    if (problem) {
+      return res.status(problem[0]).json({ message: problem[1] });
+    }
+    
+    // Lead id to error message, in the order leads are reported
+    const errors = new Map();
+    const selectFields = '-notes';
+    let leads;
+    
+    if (ids) {
+      const uniqueIds = [...new Set(ids)];
+      if (uniqueIds.length > BULK_MAX_LEADS) {
+        return res.status(400).json({ message: `Bulk changes are limited to ${BULK_MAX_LEADS} leads` });
+      }
+      
+      const found = await Lead.find({ _id: { $in: uniqueIds } }).select(selectFields).lean();
+      const leadById = new Map(found.map((lead) => [lead._id.toString(), lead]));
+      
+      leads = [];
+      for (const id of uniqueIds) {
+        const lead = leadById.get(id);
+        if (!lead) {
+          errors.set(id, 'Lead not found');
+        } else if (!(await canAccessLead(req.user, lead))) {
+          errors.set(id, 'Not authorized to change this lead');
+        } else {
+          errors.set(id, null);
+          leads.push(lead);
+        }
+      }
+    } else {
+      const query = await buildLeadFilter(filter, req.user);
+      const total = await Lead.countDocuments(query);
+      if (total > BULK_MAX_LEADS) {
+        return res.status(400).json({
+          message: `The filter matches ${total} leads; bulk changes are limited to ${BULK_MAX_LEADS}`,
+        });
+      }
+      
+      leads = await Lead.find(query).select(selectFields).sort({ createdAt: -1 }).lean();
+      leads.forEach((lead) => errors.set(lead._id.toString(), null));
+    }
+    
+    const failures = await runBulkAction(leads, req.body, req.user.id);
+    failures.forEach((message, id) => errors.set(id, message));
+    
+    const results = [...errors].map(([id, error]) => (error ? { id, success: false, error } : { id, success: true }));
+    const succeeded = results.filter((result) => result.success).length;
+    
+    res.json({
+      action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (error) {
+    if (error.name === 'FilterError') {
+      return sendValidationErrors(res, error.errors.map((item) => ({ ...item, location: 'body', field: `filter.${item.field}` })));
+    }
+    console.error('Error running bulk lead action:', error);
+    res.status(500).json({ message: 'Server error running bulk lead action' });
+  }
+});
+
 // Update a lead
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('leads.update'), validate({ params: idParams, body: updateLeadBody }), async (req, res) => {
   try {
     const {
       name,
       email,
       phone,
       source,
+      pipeline,
       status,
       assignedTo,
       tags,
+      customFields,
     } = req.body;
     
     // Check if lead exists
@@ -177,40 +601,70 @@ router.put('/:id', async (req, res) => {
     }
     
     // Check if agent is assigned to this lead
-    if (req.user.role === 'agent' && lead.assignedTo?.toString() !== req.user.id) {
+    if (!(await canAccessLead(req.user, lead))) {
       return res.status(403).json({ message: 'Not authorized to update this lead' });
     }
     
+    const before = snapshotLead(lead);
+    
     // Update fields
     if (name) lead.name = name;
     if (email) lead.email = email;
     if (phone) lead.phone = phone;
     if (source) lead.source = source;
+    if (pipeline) lead.pipeline = pipeline;
     if (status) lead.status = status;
     
-    // Admins and Super Admins can update assignedTo
-    if (assignedTo && req.user.role !== 'agent') {
+    // Only users with leads.assign, or team managers within their team, can update assignedTo
+    if (assignedTo && assignedTo !== lead.assignedTo?.toString()) {
+      const problem = await checkLeadAssignee(req.user, assignedTo);
+      if (problem) {
+        return res.status(problem[0]).json({ message: problem[1] });
+      }
       lead.assignedTo = assignedTo;
     }
     
     // Update tags
-    if (tags) lead.tags = tags;
+    if (tags) {
+      if (!(await tagsExist(tags))) {
+        return sendValidationErrors(res, missingTagsError);
+      }
+      lead.tags = tags;
+    }
+    
+    // Changed custom fields are merged into the stored ones
+    if (customFields) {
+      const custom = applyCustomFields(await loadCustomFields(), customFields, lead.customFields);
+      if (custom.errors.length > 0) {
+        return sendValidationErrors(res, customFieldErrors(custom.errors));
+      }
+      lead.customFields = custom.values;
+    }
     
     await lead.save();
     
+    // Record field-level changes on the timeline
+    const changes = diffLead(before, lead, req.user.id);
+    await recordActivity(changes);
+    emitLeadChanges(lead, changes, req.user.id);
+    
     const updatedLead = await Lead.findById(req.params.id)
       .populate('assignedTo', 'name email')
-      .populate('tags', 'name color');
+      .populate('tags', 'name color')
+      .populate('pipeline', 'name');
     
     res.json(updatedLead);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
     console.error('Error updating lead:', error);
     res.status(500).json({ message: 'Server error updating lead' });
   }
 });
 
-// Delete a lead (Admin and Super Admin only)
-router.delete('/:id', checkRole(['super_admin', 'admin']), async (req, res) => {
+// Move a lead to the trash (leads.delete). It can be restored until it is purged.
+router.delete('/:id', requirePermission('leads.delete'), validate({ params: idParams }), async (req, res) => {
   try {
     const lead = await Lead.findById(req.params.id);
     
@@ -218,24 +672,65 @@ router.delete('/:id', checkRole(['super_admin', 'admin']), async (req, res) => {
       return res.status(404).json({ message: 'Lead not found' });
     }
     
-    await Lead.findByIdAndDelete(req.params.id);
+    if (!(await canAccessLead(req.user, lead))) {
+      return res.status(403).json({ message: 'Not authorized to delete this lead' });
+    }
+    
+    await trashLeads([lead], req.user.id);
     
-    res.json({ message: 'Lead deleted successfully' });
+    res.json({ message: 'Lead moved to the trash' });
   } catch (error) {
     console.error('Error deleting lead:', error);
     res.status(500).json({ message: 'Server error deleting lead' });
   }
 });
 
-// Add a note to a lead
-router.post('/:id/notes', async (req, res) => {
+// Get the activity timeline of a lead
+router.get('/:id/timeline', requirePermission(READ_LEADS), validate({ params: idParams, query: timelineQuery }), async (req, res) => {
   try {
-    const { content } = req.body;
+    const { page = 1, limit = 50 } = req.query;
+    
+    const lead = await Lead.findById(req.params.id);
     
-    if (!content) {
-      return res.status(400).json({ message: 'Note content is required' });
+    if (!lead) {
+      return res.status(404).json({ message: 'Lead not found' });
     }
     
+    // Check if agent is assigned to this lead
+    if (!(await canAccessLead(req.user, lead))) {
+      return res.status(403).json({ message: 'Not authorized to view this lead' });
+    }
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const timeline = await Activity.find({ lead: lead._id })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    const total = await Activity.countDocuments({ lead: lead._id });
+    
+    res.json({
+      timeline,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching lead timeline:', error);
+    res.status(500).json({ message: 'Server error fetching lead timeline' });
+  }
+});
+
+// Add a note to a lead
+router.post('/:id/notes', requirePermission('leads.update'), validate({ params: idParams, body: noteBody }), async (req, res) => {
+  try {
+    const { content } = req.body;
+    
     const lead = await Lead.findById(req.params.id);
     
     if (!lead) {
@@ -243,7 +738,7 @@ router.post('/:id/notes', async (req, res) => {
     }
     
     // Check if agent is assigned to this lead
-    if (req.user.role === 'agent' && lead.assignedTo?.toString() !== req.user.id) {
+    if (!(await canAccessLead(req.user, lead))) {
       return res.status(403).json({ message: 'Not authorized to add notes to this lead' });
     }
     
@@ -255,6 +750,15 @@ router.post('/:id/notes', async (req, res) => {
     
     await lead.save();
     
+    await recordActivity({
+      lead: lead._id,
+      type: 'note_added',
+      newValue: content,
+      createdBy: req.user.id,
+    });
+    
+    emitEvent('note.added', { lead: serializeLead(lead), note: lead.notes[0].toObject() }, req.user.id);
+    
     const updatedLead = await Lead.findById(req.params.id)
       .populate('assignedTo', 'name email')
       .populate('notes.createdBy', 'name');
@@ -266,130 +770,170 @@ router.post('/:id/notes', async (req, res) => {
   }
 });
 
-// Import leads from Excel or CSV (Admin and Super Admin only)
-router.post('/import', checkRole(['super_admin', 'admin']), upload.single('file'), async (req, res) => {
+// Preview an import file: its headers, a few rows and a suggested column mapping (leads.import)
+router.post('/import/preview', requirePermission('leads.import'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
     
-    // Parse Excel/CSV
-    const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = xlsx.utils.sheet_to_json(worksheet);
+    const { headers, rows } = readSheet(req.file.buffer);
     
-    if (data.length === 0) {
+    if (rows.length === 0) {
       return res.status(400).json({ message: 'File is empty or has no valid data' });
     }
     
-    // Import leads
-    const importedLeads = [];
-    const errors = [];
+    const customFields = await loadCustomFields();
     
-    for (let i = 0; i < data.length; i++) {
-      const item = data[i];
+    res.json({
+      headers,
+      sampleRows: rows.slice(0, 5),
+      totalRows: rows.length,
+      suggestedMapping: suggestMapping(headers, customFields),
+      fields: [...IMPORT_FIELDS, ...customFields.map((field) => `${CUSTOM_FIELD_PREFIX}${field.key}`)],
+    });
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    res.status(500).json({ message: 'Server error previewing import' });
+  }
+});
+
+// Import leads from Excel or CSV (leads.import)
+// Options (query or form fields): mapping, dryRun, fuzzyName and background.
+// Large files, or any file with background=true, run as a job that can be polled.
+router.post(
+  '/import',
+  requirePermission('leads.import'),
+  upload.single('file'),
+  validate({ query: importOptions, body: importOptions }),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'No file uploaded' });
+      }
+      
+      const options = { ...req.query, ...req.body };
       
-      // Skip rows without required fields
-      if (!item.name || !item.email) {
-        errors.push({ row: i + 2, message: 'Missing required fields (name, email)' });
-        continue;
+      // Parse Excel/CSV
+      const { headers, rows } = readSheet(req.file.buffer);
+      
+      if (rows.length === 0) {
+        return res.status(400).json({ message: 'File is empty or has no valid data' });
+      }
+      
+      const customFields = await loadCustomFields();
+      const mapping = options.mapping || suggestMapping(headers, customFields);
+      
+      const mappedFields = Object.values(mapping);
+      if (!mappedFields.includes('name') || !mappedFields.includes('email')) {
+        return sendValidationErrors(res, [
+          { location: 'body', field: 'mapping', message: 'Columns must be mapped to both name and email' },
+        ]);
       }
       
-      try {
-        const lead = new Lead({
-          name: item.name,
-          email: item.email,
-          phone: item.phone || '',
-          source: item.source || 'Import',
-          status: item.status || 'New',
+      const customKeys = new Set(customFields.map((field) => field.key));
+      const unknownTargets = mappedFields.filter((field) => (
+        field.startsWith(CUSTOM_FIELD_PREFIX) && !customKeys.has(field.slice(CUSTOM_FIELD_PREFIX.length))
+      ));
+      if (unknownTargets.length > 0) {
+        return sendValidationErrors(res, [
+          { location: 'body', field: 'mapping', message: `Unknown custom fields: ${unknownTargets.join(', ')}` },
+        ]);
+      }
+      
+      if (options.background || rows.length > IMPORT_BACKGROUND_ROWS) {
+        const job = new ImportJob({
+          fileName: req.file.originalname,
+          mapping,
+          dryRun: Boolean(options.dryRun),
+          fuzzyName: Boolean(options.fuzzyName),
+          totalRows: rows.length,
           createdBy: req.user.id,
         });
         
-        await lead.save();
-        importedLeads.push(lead);
-      } catch (error) {
-        errors.push({ row: i + 2, message: error.message });
+        await job.save();
+        runImportJob(job, rows);
+        
+        return res.status(202).json({ jobId: job._id, status: job.status, totalRows: rows.length });
       }
+      
+      const summary = await runImport({
+        rows,
+        mapping,
+        dryRun: Boolean(options.dryRun),
+        fuzzyName: Boolean(options.fuzzyName),
+        userId: req.user.id,
+      });
+      
+      res.json({
+        success: true,
+        dryRun: summary.dryRun,
+        valid: summary.valid,
+        imported: summary.imported,
+        duplicates: summary.duplicates.length > 0 ? summary.duplicates : undefined,
+        errors: summary.errors.length > 0 ? summary.errors : undefined,
+      });
+    } catch (error) {
+      console.error('Error importing leads:', error);
+      res.status(500).json({ message: 'Server error importing leads' });
+    }
+  }
+);
+
+// Get recent import jobs (leads.import)
+router.get('/import/jobs', requirePermission('leads.import'), async (req, res) => {
+  try {
+    const jobs = await ImportJob.find()
+      .select('-report')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(20);
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching import jobs:', error);
+    res.status(500).json({ message: 'Server error fetching import jobs' });
+  }
+});
+
+// Get an import job's status and progress (leads.import)
+router.get('/import/jobs/:jobId', requirePermission('leads.import'), validate({ params: importJobParams }), async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.jobId).select('-report');
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Import job not found' });
     }
     
     res.json({
-      success: true,
-      imported: importedLeads.length,
-      errors: errors.length > 0 ? errors : undefined,
+      ...job.toObject(),
+      progress: job.totalRows > 0 ? job.processedRows / job.totalRows : 0,
     });
   } catch (error) {
-    console.error('Error importing leads:', error);
-    res.status(500).json({ message: 'Server error importing leads' });
+    console.error('Error fetching import job:', error);
+    res.status(500).json({ message: 'Server error fetching import job' });
   }
 });
 
-// Export leads (Admin and Super Admin only)
-router.get('/export', checkRole(['super_admin', 'admin']), async (req, res) => {
+// Download an import job's error report as CSV (leads.import)
+router.get('/import/jobs/:jobId/errors', requirePermission('leads.import'), validate({ params: importJobParams }), async (req, res) => {
   try {
-    const { status, tags, dateFrom, dateTo, assignedTo } = req.query;
-    
-    const filter = {};
-    
-    // Apply filters
-    if (status) filter.status = status;
-    if (assignedTo) filter.assignedTo = assignedTo;
-    
-    // Date range filter
-    if (dateFrom || dateTo) {
-      filter.createdAt = {};
-      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
-      if (dateTo) {
-        const toDate = new Date(dateTo);
-        toDate.setHours(23, 59, 59, 999);
-        filter.createdAt.$lte = toDate;
-      }
-    }
+    const job = await ImportJob.findById(req.params.jobId);
     
-    // Tag filter
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : tags.split(',');
-      filter.tags = { $in: tagArray };
+    if (!job) {
+      return res.status(404).json({ message: 'Import job not found' });
     }
     
-    // Get leads
-    const leads = await Lead.find(filter)
-      .populate('assignedTo', 'name email')
-      .populate('tags', 'name')
-      .sort({ createdAt: -1 });
-    
-    // Prepare data for export
-    const exportData = leads.map(lead => ({
-      'Name': lead.name,
-      'Email': lead.email,
-      'Phone': lead.phone,
-      'Status': lead.status,
-      'Source': lead.source,
-      'Tags': lead.tags.map((tag) => tag.name).join(', '),
-      'Assigned To': lead.assignedTo ? lead.assignedTo.name : 'Unassigned',
-      'Created At': new Date(lead.createdAt).toLocaleString(),
-    }));
-    
-    // Create Excel file
-    const worksheet = xlsx.utils.json_to_sheet(exportData);
-    const workbook = xlsx.utils.book_new();
-    xlsx.utils.book_append_sheet(workbook, worksheet, 'Leads');
-    
-    // Generate buffer
-    const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
-    
-    // Send file
-    res.setHeader('Content-Disposition', 'attachment; filename=leads.xlsx');
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.send(buffer);
+    res.setHeader('Content-Disposition', `attachment; filename=import-${job._id}-errors.csv`);
+    res.setHeader('Content-Type', 'text/csv');
+    res.send(buildErrorReport(job.report));
   } catch (error) {
-    console.error('Error exporting leads:', error);
-    res.status(500).json({ message: 'Server error exporting leads' });
+    console.error('Error fetching import error report:', error);
+    res.status(500).json({ message: 'Server error fetching import error report' });
   }
 });
 
-// Get tags
-router.get('/tags/all', async (req, res) => {
+// Get tags. Kept for existing clients; /api/tags also has usage counts, groups and tag changes.
+router.get('/tags/all', requirePermission(READ_LEADS), async (req, res) => {
   try {
     const tags = await Tag.find().sort({ name: 1 });
     res.json(tags);
@@ -399,34 +943,4 @@ router.get('/tags/all', async (req, res) => {
   }
 });
 
-// Create a tag (Admin and Super Admin only)
-router.post('/tags', checkRole(['super_admin', 'admin']), async (req, res) => {
-  try {
-    const { name, color } = req.body;
-    
-    if (!name) {
-      return res.status(400).json({ message: 'Tag name is required' });
-    }
-    
-    // Check if tag exists
-    const existingTag = await Tag.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
-    if (existingTag) {
-      return res.status(400).json({ message: 'Tag already exists' });
-    }
-    
-    const tag = new Tag({
-      name,
-      color: color || '#808080', // Default gray if no color provided
-      createdBy: req.user.id,
-    });
-    
-    await tag.save();
-    
-    res.status(201).json(tag);
-  } catch (error) {
-    console.error('Error creating tag:', error);
-    res.status(500).json({ message: 'Server error creating tag' });
-  }
-});
-
 export default router;
\ No newline at end of file
@@ -0,0 +1,299 @@
+import express from 'express';
+import Pipeline from '../models/Pipeline.js';
+import Lead from '../models/Lead.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordActivity } from '../utils/activity.js';
+import { emitLeadChanges } from '../utils/events.js';
+import { renameStageReferences } from '../utils/pipelines.js';
+import { rescoreLeads } from '../utils/rescore.js';
+import { validate, sendValidationErrors, fromMongooseError } from '../middleware/validate.js';
+import { idParams } from '../validation/common.js';
+import { createPipelineBody, updatePipelineBody, migrateLeadsBody } from '../validation/pipelines.js';
+
+const router = express.Router();
+
+// Get all pipelines
+router.get('/', async (req, res) => {
+  try {
+    // Make sure there is always at least the default pipeline
+    await Pipeline.getDefault();
+
+    const pipelines = await Pipeline.find().sort({ isDefault: -1, name: 1 });
+    res.json(pipelines);
+  } catch (error) {
+    console.error('Error fetching pipelines:', error);
+    res.status(500).json({ message: 'Server error fetching pipelines' });
+  }
+});
+
+// Get pipeline by ID
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findById(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+
+    res.json(pipeline);
+  } catch (error) {
+    console.error('Error fetching pipeline:', error);
+    res.status(500).json({ message: 'Server error fetching pipeline' });
+  }
+});
+
+// Create a pipeline (pipelines.manage)
+router.post('/', requirePermission('pipelines.manage'), validate({ body: createPipelineBody }), async (req, res) => {
+  try {
+    const { name, stages, isDefault = false } = req.body;
+
+    const existingPipeline = await Pipeline.findOne({ name });
+    if (existingPipeline) {
+      return res.status(400).json({ message: 'Pipeline already exists' });
+    }
+
+    const pipeline = new Pipeline({
+      name,
+      stages,
+      isDefault,
+      createdBy: req.user.id,
+    });
+
+    await pipeline.save();
+
+    // Only one pipeline can be the default
+    if (pipeline.isDefault) {
+      await Pipeline.updateMany({ _id: { $ne: pipeline._id } }, { $set: { isDefault: false } });
+    }
+
+    res.status(201).json(pipeline);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error creating pipeline:', error);
+    res.status(500).json({ message: 'Server error creating pipeline' });
+  }
+});
+
+// Update a pipeline (pipelines.manage)
+// Stages are matched by _id, so a stage sent with a new name renames it on every lead
+// (each gets a status change on its timeline) and in the rules and views using it.
+router.put('/:id', requirePermission('pipelines.manage'), validate({ params: idParams, body: updatePipelineBody }), async (req, res) => {
+  try {
+    const { name, stages, isDefault } = req.body;
+
+    const pipeline = await Pipeline.findById(req.params.id);
+    if (!pipeline) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+
+    if (name && name !== pipeline.name) {
+      const existingPipeline = await Pipeline.findOne({ name });
+      if (existingPipeline) {
+        return res.status(400).json({ message: 'Pipeline name is already taken' });
+      }
+      pipeline.name = name;
+    }
+
+    const renames = [];
+
+    if (stages) {
+      const keptIds = new Set(stages.filter((stage) => stage._id).map((stage) => stage._id.toString()));
+      const newNames = new Set(stages.map((stage) => stage.name));
+
+      stages.forEach((stage) => {
+        const current = stage._id && pipeline.stages.id(stage._id);
+        if (current && current.name !== stage.name) {
+          renames.push({ from: current.name, to: stage.name });
+        }
+      });
+
+      // Stages can only be removed once no lead is in them
+      const removedNames = pipeline.stages
+        .filter((stage) => !keptIds.has(stage._id.toString()) && !newNames.has(stage.name))
+        .map((stage) => stage.name);
+
+      if (removedNames.length > 0) {
+        const inUse = await Lead.countDocuments({ pipeline: pipeline._id, status: { $in: removedNames } });
+        if (inUse > 0) {
+          return res.status(400).json({
+            message: `Move the ${inUse} leads in stages ${removedNames.join(', ')} before removing them`,
+          });
+        }
+      }
+
+      pipeline.stages = stages;
+    }
+
+    if (isDefault === true) pipeline.isDefault = true;
+
+    await pipeline.save();
+
+    if (pipeline.isDefault) {
+      await Pipeline.updateMany({ _id: { $ne: pipeline._id } }, { $set: { isDefault: false } });
+    }
+
+    // Leads in renamed stages, for their timeline and events (trashed leads are renamed too)
+    const renamedLeads = renames.length > 0
+      ? await Lead.find({ pipeline: pipeline._id, status: { $in: renames.map((rename) => rename.from) } }).lean()
+      : [];
+
+    // Rename in two steps so that swapping two stage names does not mix up their leads
+    for (const rename of renames) {
+      await Lead.updateMany(
+        { pipeline: pipeline._id, status: rename.from },
+        { $set: { status: `__rename__${rename.to}` } }
+      );
+    }
+    for (const rename of renames) {
+      await Lead.updateMany(
+        { pipeline: pipeline._id, status: `__rename__${rename.to}` },
+        { $set: { status: rename.to } }
+      );
+    }
+    if (renames.length > 0) {
+      await rescoreLeads({ pipeline: pipeline._id });
+      await renameStageReferences(pipeline, renames);
+    }
+
+    const newNames = new Map(renames.map((rename) => [rename.from, rename.to]));
+    const updates = renamedLeads.map((lead) => ({
+      lead: { ...lead, status: newNames.get(lead.status) },
+      changes: [{
+        lead: lead._id,
+        type: 'status_changed',
+        field: 'status',
+        oldValue: lead.status,
+        newValue: newNames.get(lead.status),
+        meta: { stageRenamed: true },
+        createdBy: req.user.id,
+      }],
+    }));
+    await recordActivity(updates.flatMap((update) => update.changes));
+    updates.forEach(({ lead, changes }) => emitLeadChanges(lead, changes, req.user.id));
+
+    res.json(pipeline);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error updating pipeline:', error);
+    res.status(500).json({ message: 'Server error updating pipeline' });
+  }
+});
+
+// Delete a pipeline (pipelines.manage)
+router.delete('/:id', requirePermission('pipelines.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findById(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+
+    if (pipeline.isDefault) {
+      return res.status(400).json({ message: 'Cannot delete the default pipeline' });
+    }
+
+    const leadCount = await Lead.countDocuments({ pipeline: pipeline._id });
+    if (leadCount > 0) {
+      return res.status(400).json({ message: `Move the ${leadCount} leads in this pipeline before deleting it` });
+    }
+
+    await Pipeline.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Pipeline deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting pipeline:', error);
+    res.status(500).json({ message: 'Server error deleting pipeline' });
+  }
+});
+
+// Move leads onto this pipeline (pipelines.manage)
+// Leads are selected by leadIds or by fromPipeline. stageMap maps old stage names
+// to stages of this pipeline; unmapped stages keep a stage with the same name if
+// there is one, and otherwise start at the first stage.
+router.post('/:id/migrate', requirePermission('pipelines.manage'), validate({ params: idParams, body: migrateLeadsBody }), async (req, res) => {
+  try {
+    const { fromPipeline, leadIds, stageMap = {} } = req.body;
+
+    const pipeline = await Pipeline.findById(req.params.id);
+    if (!pipeline) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+
+    const unknownStages = Object.values(stageMap).filter((stage) => !pipeline.getStage(stage));
+    if (unknownStages.length > 0) {
+      return res.status(400).json({
+        message: `Stages ${unknownStages.join(', ')} do not exist in the ${pipeline.name} pipeline`,
+      });
+    }
+
+    const filter = { pipeline: { $ne: pipeline._id } };
+    if (Array.isArray(leadIds)) filter._id = { $in: leadIds };
+    if (fromPipeline) filter.pipeline = fromPipeline;
+
+    const leads = await Lead.find(filter).lean();
+
+    const targetStage = (status) => {
+      if (stageMap[status]) return stageMap[status];
+      if (pipeline.getStage(status)) return status;
+      return pipeline.stages[0].name;
+    };
+
+    // Group leads by their new stage so each group is a single update
+    const groups = {};
+    leads.forEach((lead) => {
+      const stage = targetStage(lead.status);
+      groups[stage] = groups[stage] || [];
+      groups[stage].push(lead._id);
+    });
+
+    const updatedAt = new Date();
+    for (const [stage, ids] of Object.entries(groups)) {
+      await Lead.updateMany(
+        { _id: { $in: ids } },
+        { $set: { pipeline: pipeline._id, status: stage, updatedAt } }
+      );
+    }
+    await rescoreLeads({ _id: { $in: leads.map((lead) => lead._id) } });
+
+    // Timeline entries and events for each moved lead
+    const updates = leads.map((lead) => {
+      const stage = targetStage(lead.status);
+      const changes = [{
+        lead: lead._id,
+        type: 'pipeline_changed',
+        field: 'pipeline',
+        oldValue: lead.pipeline ? lead.pipeline.toString() : null,
+        newValue: pipeline._id.toString(),
+        createdBy: req.user.id,
+      }];
+
+      if (stage !== lead.status) {
+        changes.push({
+          lead: lead._id,
+          type: 'status_changed',
+          field: 'status',
+          oldValue: lead.status,
+          newValue: stage,
+          createdBy: req.user.id,
+        });
+      }
+      return { lead: { ...lead, pipeline: pipeline._id, status: stage, updatedAt }, changes };
+    });
+    await recordActivity(updates.flatMap((update) => update.changes));
+    updates.forEach(({ lead, changes }) => emitLeadChanges(lead, changes, req.user.id));
+
+    res.json({
+      success: true,
+      moved: leads.length,
+    });
+  } catch (error) {
+    console.error('Error migrating leads:', error);
+    res.status(500).json({ message: 'Server error migrating leads' });
+  }
+});
+
+export default router;
@@ -0,0 +1,165 @@
+import express from 'express';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate, sendValidationErrors, fromMongooseError } from '../middleware/validate.js';
+import { PERMISSIONS, hasPermission, hasAllPermissions } from '../utils/permissions.js';
+import { clearRoleCache } from '../utils/roles.js';
+import { idParams } from '../validation/common.js';
+import { createRoleBody, updateRoleBody } from '../validation/roles.js';
+
+const router = express.Router();
+
+const canViewRoles = requirePermission(['users.read', 'roles.manage']);
+
+// Permissions the user is trying to grant but does not have
+const missingPermissions = (user, permissions) => {
+  return permissions.filter((permission) => !hasPermission(user, permission));
+};
+
+// Get every permission a role can grant
+router.get('/permissions', canViewRoles, (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// Get all roles with the number of users in each
+router.get('/', canViewRoles, async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+    const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+    const countByRole = new Map(counts.map((item) => [item._id, item.count]));
+    
+    res.json(roles.map((role) => ({ ...role, userCount: countByRole.get(role.name) || 0 })));
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Server error fetching roles' });
+  }
+});
+
+// Get role by ID
+router.get('/:id', canViewRoles, validate({ params: idParams }), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    
+    res.json(role);
+  } catch (error) {
+    console.error('Error fetching role:', error);
+    res.status(500).json({ message: 'Server error fetching role' });
+  }
+});
+
+// Create a role (roles.manage)
+router.post('/', requirePermission('roles.manage'), validate({ body: createRoleBody }), async (req, res) => {
+  try {
+    const { name, label, description, permissions } = req.body;
+    
+    const existingRole = await Role.findOne({ name });
+    if (existingRole) {
+      return res.status(400).json({ message: 'Role already exists' });
+    }
+    
+    const missing = missingPermissions(req.user, permissions);
+    if (missing.length > 0) {
+      return res.status(403).json({ message: `You cannot grant permissions you do not have: ${missing.join(', ')}` });
+    }
+    
+    const role = new Role({
+      name,
+      label,
+      description,
+      permissions,
+      createdBy: req.user.id,
+    });
+    
+    await role.save();
+    
+    res.status(201).json(role);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error creating role:', error);
+    res.status(500).json({ message: 'Server error creating role' });
+  }
+});
+
+// Update a role (roles.manage). Users with the role get the new permissions on their next request.
+router.put('/:id', requirePermission('roles.manage'), validate({ params: idParams, body: updateRoleBody }), async (req, res) => {
+  try {
+    const { label, description, permissions } = req.body;
+    
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    
+    if (!hasAllPermissions(req.user, role.permissions)) {
+      return res.status(403).json({ message: 'Not authorized to change a role with more permissions than you' });
+    }
+    
+    if (permissions) {
+      if (role.name === 'super_admin') {
+        return res.status(400).json({ message: 'The super_admin role always has every permission' });
+      }
+      
+      const missing = missingPermissions(req.user, permissions);
+      if (missing.length > 0) {
+        return res.status(403).json({ message: `You cannot grant permissions you do not have: ${missing.join(', ')}` });
+      }
+      
+      role.permissions = permissions;
+    }
+    
+    if (label) role.label = label;
+    if (description !== undefined) role.description = description;
+    
+    await role.save();
+    clearRoleCache();
+    
+    res.json(role);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error updating role:', error);
+    res.status(500).json({ message: 'Server error updating role' });
+  }
+});
+
+// Delete a role (roles.manage). Built-in roles and roles still given to users cannot be deleted.
+router.delete('/:id', requirePermission('roles.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Cannot delete a built-in role' });
+    }
+    
+    if (!hasAllPermissions(req.user, role.permissions)) {
+      return res.status(403).json({ message: 'Not authorized to delete a role with more permissions than you' });
+    }
+    
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({ message: `Move the ${userCount} users with this role to another role before deleting it` });
+    }
+    
+    await Role.findByIdAndDelete(role._id);
+    clearRoleCache();
+    
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ message: 'Server error deleting role' });
+  }
+});
+
+export default router;
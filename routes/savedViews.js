@@ -0,0 +1,166 @@
+import express from 'express';
+import SavedView from '../models/SavedView.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate, sendValidationErrors, fromMongooseError } from '../middleware/validate.js';
+import { READ_LEADS } from '../utils/permissions.js';
+import { buildLeadFilter, buildLeadSort } from '../utils/leadFilters.js';
+import { visibleViewsFilter, canChangeView } from '../utils/savedViews.js';
+import { idParams } from '../validation/common.js';
+import { createSavedViewBody, updateSavedViewBody } from '../validation/savedViews.js';
+
+const router = express.Router();
+
+// Saved views are for lead lists, so they need permission to see leads
+router.use(requirePermission(READ_LEADS));
+
+// Check that the filters and sort can be applied, so that broken views are not saved.
+// Returns the errors in the shape used by sendValidationErrors.
+const checkView = async ({ filters, sort }, user) => {
+  try {
+    if (filters) await buildLeadFilter(filters, user);
+    if (sort) await buildLeadSort(sort);
+    return [];
+  } catch (error) {
+    if (error.name !== 'FilterError') throw error;
+    return error.errors.map((item) => ({
+      location: 'body',
+      field: item.field === 'sort' ? 'sort' : `filters.${item.field}`,
+      message: item.message,
+    }));
+  }
+};
+
+const nameTaken = (user, name, excludeId) => {
+  return SavedView.exists({ createdBy: user.id, name, ...(excludeId ? { _id: { $ne: excludeId } } : {}) });
+};
+
+// Get the user's views and the shared views
+router.get('/', async (req, res) => {
+  try {
+    const views = await SavedView.find(visibleViewsFilter(req.user))
+      .populate('createdBy', 'name')
+      .sort({ name: 1 });
+    res.json(views);
+  } catch (error) {
+    console.error('Error fetching saved views:', error);
+    res.status(500).json({ message: 'Server error fetching saved views' });
+  }
+});
+
+// Get saved view by ID
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const view = await SavedView.findOne({ _id: req.params.id, ...visibleViewsFilter(req.user) })
+      .populate('createdBy', 'name');
+
+    if (!view) {
+      return res.status(404).json({ message: 'Saved view not found' });
+    }
+
+    res.json(view);
+  } catch (error) {
+    console.error('Error fetching saved view:', error);
+    res.status(500).json({ message: 'Server error fetching saved view' });
+  }
+});
+
+// Save a view of the lead list. Apply it with GET /api/leads?view=<id>.
+router.post('/', validate({ body: createSavedViewBody }), async (req, res) => {
+  try {
+    const { name, description, filters, sort, shared } = req.body;
+
+    if (await nameTaken(req.user, name)) {
+      return res.status(400).json({ message: 'You already have a view with this name' });
+    }
+
+    const errors = await checkView({ filters, sort }, req.user);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const view = new SavedView({
+      name,
+      description,
+      filters,
+      sort,
+      shared,
+      createdBy: req.user.id,
+    });
+
+    await view.save();
+
+    res.status(201).json(view);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error creating saved view:', error);
+    res.status(500).json({ message: 'Server error creating saved view' });
+  }
+});
+
+// Update a saved view (its owner, or views.manage for shared views)
+router.put('/:id', validate({ params: idParams, body: updateSavedViewBody }), async (req, res) => {
+  try {
+    const { name, description, filters, sort, shared } = req.body;
+
+    const view = await SavedView.findOne({ _id: req.params.id, ...visibleViewsFilter(req.user) });
+    if (!view) {
+      return res.status(404).json({ message: 'Saved view not found' });
+    }
+
+    if (!canChangeView(req.user, view)) {
+      return res.status(403).json({ message: 'Not authorized to change this view' });
+    }
+
+    // Names are unique per owner
+    if (name && name !== view.name && await nameTaken({ id: view.createdBy.toString() }, name, view._id)) {
+      return res.status(400).json({ message: 'The owner already has a view with this name' });
+    }
+
+    const errors = await checkView({ filters, sort }, req.user);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    if (name) view.name = name;
+    if (description !== undefined) view.description = description;
+    if (filters) view.filters = filters;
+    if (sort) view.sort = sort;
+    if (shared !== undefined) view.shared = shared;
+
+    await view.save();
+
+    res.json(view);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error updating saved view:', error);
+    res.status(500).json({ message: 'Server error updating saved view' });
+  }
+});
+
+// Delete a saved view (its owner, or views.manage for shared views)
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const view = await SavedView.findOne({ _id: req.params.id, ...visibleViewsFilter(req.user) });
+
+    if (!view) {
+      return res.status(404).json({ message: 'Saved view not found' });
+    }
+
+    if (!canChangeView(req.user, view)) {
+      return res.status(403).json({ message: 'Not authorized to delete this view' });
+    }
+
+    await SavedView.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Saved view deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting saved view:', error);
+    res.status(500).json({ message: 'Server error deleting saved view' });
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import ScoringRule from '../models/ScoringRule.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate, sendValidationErrors, fromMongooseError } from '../middleware/validate.js';
+import { clearScoringRuleCache } from '../utils/scoring.js';
+import { startFullRescore, fullRescoreStatus } from '../utils/rescore.js';
+import { idParams } from '../validation/common.js';
+import { createScoringRuleBody, updateScoringRuleBody } from '../validation/scoring.js';
+
+const router = express.Router();
+
+// All scoring routes need the scoring.manage permission
+router.use(requirePermission('scoring.manage'));
+
+// Rule changes apply to leads as they are saved. Other leads pick them up at the
+// next full rescore, either the daily one or one started with POST /rescore.
+
+// Get all scoring rules
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await ScoringRule.find().sort({ points: -1, name: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching scoring rules:', error);
+    res.status(500).json({ message: 'Server error fetching scoring rules' });
+  }
+});
+
+// Get scoring rule by ID
+router.get('/rules/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const rule = await ScoringRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Scoring rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error fetching scoring rule:', error);
+    res.status(500).json({ message: 'Server error fetching scoring rule' });
+  }
+});
+
+// Create a scoring rule
+router.post('/rules', validate({ body: createScoringRuleBody }), async (req, res) => {
+  try {
+    const rule = new ScoringRule({
+      ...req.body,
+      createdBy: req.user.id,
+    });
+
+    await rule.save();
+    clearScoringRuleCache();
+
+    res.status(201).json(rule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error creating scoring rule:', error);
+    res.status(500).json({ message: 'Server error creating scoring rule' });
+  }
+});
+
+// Update a scoring rule
+router.put('/rules/:id', validate({ params: idParams, body: updateScoringRuleBody }), async (req, res) => {
+  try {
+    const rule = await ScoringRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Scoring rule not found' });
+    }
+
+    Object.entries(req.body).forEach(([field, value]) => {
+      if (value !== undefined) rule[field] = value;
+    });
+
+    await rule.save();
+    clearScoringRuleCache();
+
+    res.json(rule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error updating scoring rule:', error);
+    res.status(500).json({ message: 'Server error updating scoring rule' });
+  }
+});
+
+// Delete a scoring rule
+router.delete('/rules/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const rule = await ScoringRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Scoring rule not found' });
+    }
+
+    clearScoringRuleCache();
+
+    res.json({ message: 'Scoring rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting scoring rule:', error);
+    res.status(500).json({ message: 'Server error deleting scoring rule' });
+  }
+});
+
+// Get the progress of the current or last full rescore
+router.get('/rescore', (req, res) => {
+  res.json(fullRescoreStatus());
+});
+
+// Start rescoring every lead in the background; follow it with GET /rescore
+router.post('/rescore', (req, res) => {
+  if (!startFullRescore()) {
+    return res.status(409).json({ message: 'A full rescore is already running', status: fullRescoreStatus() });
+  }
+
+  res.status(202).json(fullRescoreStatus());
+});
+
+export default router;
@@ -0,0 +1,181 @@
+import express from 'express';
+import Tag from '../models/Tag.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate, sendValidationErrors, fromMongooseError } from '../middleware/validate.js';
+import { READ_LEADS } from '../utils/permissions.js';
+import { escapeRegex } from '../utils/leadQuery.js';
+import { findTagByName, tagUsageCounts, renameTagOnLeads, removeTags, mergeTags } from '../utils/tags.js';
+import { idParams } from '../validation/common.js';
+import { createTagBody, updateTagBody, listTagsQuery, mergeTagsBody } from '../validation/tags.js';
+
+const router = express.Router();
+
+// Tags with the number of leads carrying each
+const withUsage = async (tags) => {
+  const counts = await tagUsageCounts(tags.map((tag) => tag._id));
+  return tags.map((tag) => ({ ...tag.toObject(), leadCount: counts.get(tag._id.toString()) || 0 }));
+};
+
+// Get tags by group and name, with usage counts for the tag picker
+router.get('/', requirePermission(READ_LEADS), validate({ query: listTagsQuery }), async (req, res) => {
+  try {
+    const { group, search } = req.query;
+
+    const filter = {};
+    if (group !== undefined) filter.group = group;
+    if (search) filter.name = { $regex: escapeRegex(search), $options: 'i' };
+
+    const tags = await Tag.find(filter).sort({ group: 1, name: 1 });
+    res.json(await withUsage(tags));
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ message: 'Server error fetching tags' });
+  }
+});
+
+// Get tag groups with the number of tags in each ("" holds ungrouped tags)
+router.get('/groups', requirePermission(READ_LEADS), async (req, res) => {
+  try {
+    const groups = await Tag.aggregate([
+      { $group: { _id: '$group', tagCount: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]);
+
+    res.json(groups.map((group) => ({ name: group._id || '', tagCount: group.tagCount })));
+  } catch (error) {
+    console.error('Error fetching tag groups:', error);
+    res.status(500).json({ message: 'Server error fetching tag groups' });
+  }
+});
+
+// Get tag by ID
+router.get('/:id', requirePermission(READ_LEADS), validate({ params: idParams }), async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const [tagWithUsage] = await withUsage([tag]);
+    res.json(tagWithUsage);
+  } catch (error) {
+    console.error('Error fetching tag:', error);
+    res.status(500).json({ message: 'Server error fetching tag' });
+  }
+});
+
+// Create a tag (tags.manage)
+router.post('/', requirePermission('tags.manage'), validate({ body: createTagBody }), async (req, res) => {
+  try {
+    const { name, color, group } = req.body;
+
+    if (await findTagByName(name)) {
+      return res.status(400).json({ message: 'Tag already exists' });
+    }
+
+    const tag = new Tag({
+      name,
+      color,
+      group,
+      createdBy: req.user.id,
+    });
+
+    await tag.save();
+
+    res.status(201).json(tag);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error creating tag:', error);
+    res.status(500).json({ message: 'Server error creating tag' });
+  }
+});
+
+// Rename, recolor or regroup a tag (tags.manage)
+router.put('/:id', requirePermission('tags.manage'), validate({ params: idParams, body: updateTagBody }), async (req, res) => {
+  try {
+    const { name, color, group } = req.body;
+
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const oldName = tag.name;
+    if (name && name !== tag.name) {
+      if (await findTagByName(name, tag._id)) {
+        return res.status(400).json({ message: 'Tag name is already taken' });
+      }
+      tag.name = name;
+    }
+
+    if (color) tag.color = color;
+    if (group !== undefined) tag.group = group;
+
+    await tag.save();
+
+    if (tag.name !== oldName) {
+      await renameTagOnLeads(tag, oldName);
+    }
+
+    res.json(tag);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error updating tag:', error);
+    res.status(500).json({ message: 'Server error updating tag' });
+  }
+});
+
+// Merge tags into another (tags.manage)
+// Leads with any of the source tags get the target tag instead, and the sources are deleted.
+router.post('/merge', requirePermission('tags.manage'), validate({ body: mergeTagsBody }), async (req, res) => {
+  try {
+    const { sourceIds, targetId } = req.body;
+
+    const ids = [...new Set(sourceIds)];
+    const target = await Tag.findById(targetId);
+    const sources = await Tag.find({ _id: { $in: ids } });
+
+    if (!target || sources.length !== ids.length) {
+      return res.status(404).json({ message: 'One or more tags not found' });
+    }
+
+    const leadCount = await mergeTags(sources, target);
+    await Tag.deleteMany({ _id: { $in: ids } });
+
+    const [tagWithUsage] = await withUsage([target]);
+    res.json({
+      tag: tagWithUsage,
+      merged: sources.length,
+      leadCount,
+    });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(500).json({ message: 'Server error merging tags' });
+  }
+});
+
+// Delete a tag and take it off every lead and rule (tags.manage)
+router.delete('/:id', requirePermission('tags.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const leadCount = await removeTags([tag]);
+    await Tag.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Tag deleted successfully', leadCount });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ message: 'Server error deleting tag' });
+  }
+});
+
+export default router;
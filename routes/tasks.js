@@ -0,0 +1,71 @@
+import express from 'express';
+import Task from '../models/Task.js';
+import { validate } from '../middleware/validate.js';
+import { canSeeAllLeads, canAccessLead, managedUserIds } from '../utils/leadAccess.js';
+import { myTasksQuery } from '../validation/tasks.js';
+
+const router = express.Router();
+
+// Get open tasks split into overdue, today and upcoming.
+// Users get their own tasks. With leads.read.all they can pass assignee=<user id> or
+// assignee=all; team managers can do the same for themselves and their members.
+router.get('/', validate({ query: myTasksQuery }), async (req, res) => {
+  try {
+    const { assignee, type, priority } = req.query;
+    
+    const filter = { completed: false };
+    
+    if (!assignee) {
+      filter.assignedTo = req.user.id;
+    } else if (canSeeAllLeads(req.user)) {
+      if (assignee !== 'all') filter.assignedTo = assignee;
+    } else {
+      const team = [req.user.id, ...(await managedUserIds(req.user))];
+      if (assignee === 'all') {
+        filter.assignedTo = { $in: team };
+      } else {
+        filter.assignedTo = team.includes(assignee) ? assignee : req.user.id;
+      }
+    }
+    
+    if (type) filter.type = type;
+    if (priority) filter.priority = priority;
+    
+    const found = await Task.find(filter)
+      .populate('lead', 'name email phone status assignedTo')
+      .populate('assignedTo', 'name email')
+      .sort({ dueDate: 1 });
+    
+    // Leave out tasks on trashed leads, which populate leaves empty, and on leads the
+    // user can no longer see
+    const visible = await Promise.all(found.map((task) => task.lead && canAccessLead(req.user, task.lead)));
+    const tasks = found.filter((task, index) => visible[index]);
+    
+    // Day boundaries in server time
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const endOfToday = new Date(startOfToday);
+    endOfToday.setHours(23, 59, 59, 999);
+    
+    const now = new Date();
+    const overdue = tasks.filter((task) => task.dueDate < now);
+    const today = tasks.filter((task) => task.dueDate >= now && task.dueDate <= endOfToday);
+    const upcoming = tasks.filter((task) => task.dueDate > endOfToday);
+    
+    res.json({
+      overdue,
+      today,
+      upcoming,
+      counts: {
+        overdue: overdue.length,
+        today: today.length,
+        upcoming: upcoming.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ message: 'Server error fetching tasks' });
+  }
+});
+
+export default router;
@@ -0,0 +1,148 @@
+import express from 'express';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate, sendValidationErrors, fromMongooseError } from '../middleware/validate.js';
+import { hasPermission } from '../utils/permissions.js';
+import { idParams } from '../validation/common.js';
+import { createTeamBody, updateTeamBody } from '../validation/teams.js';
+
+const router = express.Router();
+
+const populateTeam = (query) => {
+  return query
+    .populate('members', 'name email role isActive')
+    .populate('managers', 'name email role isActive');
+};
+
+// Ids in the list that are not existing users
+const unknownUsers = async (ids) => {
+  const found = await User.find({ _id: { $in: ids } }).select('_id').lean();
+  const foundIds = new Set(found.map((user) => user._id.toString()));
+  return ids.filter((id) => !foundIds.has(id));
+};
+
+// Users without teams.manage only see the teams they belong to or manage
+const visibleTeamsFilter = (user) => {
+  if (hasPermission(user, 'teams.manage')) return {};
+  return { $or: [{ members: user.id }, { managers: user.id }] };
+};
+
+// Get all teams
+router.get('/', async (req, res) => {
+  try {
+    const teams = await populateTeam(Team.find(visibleTeamsFilter(req.user)).sort({ name: 1 }));
+    res.json(teams);
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({ message: 'Server error fetching teams' });
+  }
+});
+
+// Get team by ID
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const team = await populateTeam(Team.findOne({ _id: req.params.id, ...visibleTeamsFilter(req.user) }));
+    
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    
+    res.json(team);
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ message: 'Server error fetching team' });
+  }
+});
+
+// Create a team (teams.manage)
+router.post('/', requirePermission('teams.manage'), validate({ body: createTeamBody }), async (req, res) => {
+  try {
+    const { name, description, members, managers } = req.body;
+    
+    const existingTeam = await Team.findOne({ name });
+    if (existingTeam) {
+      return res.status(400).json({ message: 'Team already exists' });
+    }
+    
+    const unknown = await unknownUsers([...members, ...managers]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Users not found: ${unknown.join(', ')}` });
+    }
+    
+    const team = new Team({
+      name,
+      description,
+      members,
+      managers,
+      createdBy: req.user.id,
+    });
+    
+    await team.save();
+    
+    res.status(201).json(await populateTeam(Team.findById(team._id)));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error creating team:', error);
+    res.status(500).json({ message: 'Server error creating team' });
+  }
+});
+
+// Update a team (teams.manage). members and managers replace the current lists.
+router.put('/:id', requirePermission('teams.manage'), validate({ params: idParams, body: updateTeamBody }), async (req, res) => {
+  try {
+    const { name, description, members, managers } = req.body;
+    
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    
+    if (name && name !== team.name) {
+      const existingTeam = await Team.findOne({ name });
+      if (existingTeam) {
+        return res.status(400).json({ message: 'Team name is already taken' });
+      }
+      team.name = name;
+    }
+    
+    const unknown = await unknownUsers([...(members || []), ...(managers || [])]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Users not found: ${unknown.join(', ')}` });
+    }
+    
+    if (description !== undefined) team.description = description;
+    if (members) team.members = members;
+    if (managers) team.managers = managers;
+    
+    await team.save();
+    
+    res.json(await populateTeam(Team.findById(team._id)));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    console.error('Error updating team:', error);
+    res.status(500).json({ message: 'Server error updating team' });
+  }
+});
+
+// Delete a team (teams.manage). Its leads stay with their assignees.
+router.delete('/:id', requirePermission('teams.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const team = await Team.findByIdAndDelete(req.params.id);
+    
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({ message: 'Server error deleting team' });
+  }
+});
+
+export default router;
@@ -0,0 +1,162 @@
+import express from 'express';
+import Lead from '../models/Lead.js';
+import User from '../models/User.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { restoreLead, purgeLeads, purgeUsers, TRASH_RETENTION_DAYS } from '../utils/trash.js';
+import { idParams } from '../validation/common.js';
+import { trashQuery } from '../validation/trash.js';
+
+const router = express.Router();
+
+// All trash routes need trash.manage; user routes also need users.manage
+router.use(requirePermission('trash.manage'));
+
+const inTrash = { deletedAt: { $ne: null } };
+
+// When the purge job will remove an item
+const purgeAt = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Get leads in the trash, most recently deleted first
+router.get('/leads', validate({ query: trashQuery }), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    
+    const leads = await Lead.find(inTrash)
+      .select('-notes')
+      .populate('assignedTo', 'name email')
+      .populate('deletedBy', 'name email')
+      .populate('pipeline', 'name')
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+    
+    const total = await Lead.countDocuments(inTrash);
+    
+    res.json({
+      leads: leads.map((lead) => ({ ...lead, purgeAt: purgeAt(lead.deletedAt) })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trashed leads:', error);
+    res.status(500).json({ message: 'Server error fetching trashed leads' });
+  }
+});
+
+// Restore a lead from the trash
+router.post('/leads/:id/restore', validate({ params: idParams }), async (req, res) => {
+  try {
+    const lead = await Lead.findOne({ _id: req.params.id, ...inTrash });
+    
+    if (!lead) {
+      return res.status(404).json({ message: 'Lead not found in the trash' });
+    }
+    
+    await restoreLead(lead, req.user.id);
+    
+    res.json(lead);
+  } catch (error) {
+    console.error('Error restoring lead:', error);
+    res.status(500).json({ message: 'Server error restoring lead' });
+  }
+});
+
+// Permanently delete a lead in the trash, with its tasks and timeline
+router.delete('/leads/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const purged = await purgeLeads([req.params.id]);
+    
+    if (purged === 0) {
+      return res.status(404).json({ message: 'Lead not found in the trash' });
+    }
+    
+    res.json({ message: 'Lead permanently deleted' });
+  } catch (error) {
+    console.error('Error purging lead:', error);
+    res.status(500).json({ message: 'Server error purging lead' });
+  }
+});
+
+// Get users in the trash
+router.get('/users', requirePermission('users.manage'), validate({ query: trashQuery }), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    
+    const users = await User.find(inTrash)
+      .select('name email role deletedAt deletedBy')
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+    
+    const total = await User.countDocuments(inTrash);
+    
+    res.json({
+      users: users.map((user) => ({ ...user, purgeAt: purgeAt(user.deletedAt) })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trashed users:', error);
+    res.status(500).json({ message: 'Server error fetching trashed users' });
+  }
+});
+
+// Restore a user from the trash. They stay disabled until re-enabled with PUT /api/users/:id.
+router.post('/users/:id/restore', requirePermission('users.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...inTrash });
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found in the trash' });
+    }
+    
+    user.deletedAt = null;
+    user.deletedBy = null;
+    await user.save();
+    
+    res.json({
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isActive: user.isActive,
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring user:', error);
+    res.status(500).json({ message: 'Server error restoring user' });
+  }
+});
+
+// Permanently delete a user in the trash
+router.delete('/users/:id', requirePermission('users.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const purged = await purgeUsers([req.params.id]);
+    
+    if (purged === 0) {
+      return res.status(404).json({ message: 'User not found in the trash' });
+    }
+    
+    res.json({ message: 'User permanently deleted' });
+  } catch (error) {
+    console.error('Error purging user:', error);
+    res.status(500).json({ message: 'Server error purging user' });
+  }
+});
+
+export default router;
@@ -1,14 +1,33 @@
 import express from 'express';
-import bcrypt from 'bcryptjs';
 import User from '../models/User.js';
-import { checkRole } from '../middleware/auth.js';
+import Lead from '../models/Lead.js';
+import Task from '../models/Task.js';
+import { requirePermission } from '../middleware/auth.js';
+import { revokeUserSessions } from '../utils/tokens.js';
+import { hashPassword } from '../utils/passwords.js';
+import { createUserToken, discardUserTokens } from '../utils/userTokens.js';
+import { clearFailedLogins } from '../utils/loginAttempts.js';
+import { roleGrantError, canManageRole } from '../utils/roles.js';
+import { canAssignTo } from '../utils/leadAccess.js';
+import { runBulkAction } from '../utils/bulkLeads.js';
+import { sendInviteEmail } from '../utils/accountEmails.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validation/common.js';
+import { createUserBody, inviteUserBody, updateUserBody, deleteUserQuery } from '../validation/users.js';
 
 const router = express.Router();
 
-// Get all users (Super Admin & Admin only)
-router.get('/', checkRole(['super_admin', 'admin']), async (req, res) => {
+// Emails stay taken while a user is in the trash
+const emailTakenMessage = (existingUser, message) => {
+  return existingUser.deletedAt
+    ? 'A deleted user has this email. Restore or purge them from the trash first'
+    : message;
+};
+
+// Get all users (users.read)
+router.get('/', requirePermission('users.read'), async (req, res) => {
   try {
-    const users = await User.find().select('-password');
+    const users = await User.find({ deletedAt: null }).select('-password');
     res.json(users);
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -16,10 +35,10 @@ router.get('/', checkRole(['super_admin', 'admin']), async (req, res) => {
   }
 });
 
-// Get user by ID (Super Admin & Admin only)
-router.get('/:id', checkRole(['super_admin', 'admin']), async (req, res) => {
+// Get user by ID (users.read)
+router.get('/:id', requirePermission('users.read'), validate({ params: idParams }), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select('-password');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -32,27 +51,29 @@ router.get('/:id', checkRole(['super_admin', 'admin']), async (req, res) => {
   }
 });
 
-// Create a new user (Super Admin only)
-router.post('/', checkRole(['super_admin']), async (req, res) => {
+// Create a new user (users.manage)
+router.post('/', requirePermission('users.manage'), validate({ body: createUserBody }), async (req, res) => {
   try {
-    const { name, email, password, role, isActive } = req.body;
+    const { name, email, password, role = 'agent', isActive } = req.body;
     
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      return res.status(400).json({ message: 'User already exists with this email' });
+      return res.status(400).json({ message: emailTakenMessage(existingUser, 'User already exists with this email') });
     }
     
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const roleError = await roleGrantError(req.user, role);
+    if (roleError) {
+      return res.status(403).json({ message: roleError });
+    }
     
     // Create new user
     const user = new User({
       name,
       email,
-      password: hashedPassword,
-      role: role || 'agent',
+      password: await hashPassword(password),
+      passwordChangedAt: new Date(),
+      role,
       isActive: isActive !== undefined ? isActive : true,
     });
     
@@ -74,25 +95,131 @@ router.post('/', checkRole(['super_admin']), async (req, res) => {
   }
 });
 
-// Update a user (Super Admin only)
-router.put('/:id', checkRole(['super_admin']), async (req, res) => {
+// Email an invite token and report whether the email went out
+const sendInvite = async (user, inviter) => {
+  const token = await createUserToken(user._id, 'invite', inviter._id);
+  try {
+    await sendInviteEmail(user, token, inviter);
+    return true;
+  } catch (error) {
+    console.error('Error sending invite email:', error);
+    return false;
+  }
+};
+
+// Invite a new user by email; they choose their own password (users.manage)
+router.post('/invite', requirePermission('users.manage'), validate({ body: inviteUserBody }), async (req, res) => {
+  try {
+    const { name, email, role = 'agent' } = req.body;
+    
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: emailTakenMessage(existingUser, 'User already exists with this email') });
+    }
+    
+    const roleError = await roleGrantError(req.user, role);
+    if (roleError) {
+      return res.status(403).json({ message: roleError });
+    }
+    
+    const inviter = await User.findById(req.user.id).select('name');
+    
+    const user = new User({
+      name,
+      email,
+      role,
+      invitedAt: new Date(),
+      invitedBy: req.user.id,
+    });
+    
+    await user.save();
+    
+    const inviteSent = await sendInvite(user, inviter);
+    
+    res.status(201).json({
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isActive: user.isActive,
+        invitedAt: user.invitedAt,
+      },
+      inviteSent,
+    });
+  } catch (error) {
+    console.error('Error inviting user:', error);
+    res.status(500).json({ message: 'Server error inviting user' });
+  }
+});
+
+// Send a new invite to a user who has not accepted theirs (users.manage)
+router.post('/:id/invite', requirePermission('users.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.password) {
+      return res.status(400).json({ message: 'User has already set a password' });
+    }
+    
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'User is disabled' });
+    }
+    
+    const inviter = await User.findById(req.user.id).select('name');
+    
+    user.invitedAt = new Date();
+    user.invitedBy = req.user.id;
+    await user.save();
+    
+    const inviteSent = await sendInvite(user, inviter);
+    
+    res.json({ inviteSent });
+  } catch (error) {
+    console.error('Error resending invite:', error);
+    res.status(500).json({ message: 'Server error resending invite' });
+  }
+});
+
+// Update a user (users.manage)
+router.put('/:id', requirePermission('users.manage'), validate({ params: idParams, body: updateUserBody }), async (req, res) => {
   try {
     const { name, email, password, role, isActive } = req.body;
     
     // Check if user exists
-    let user = await User.findById(req.params.id);
+    let user = await User.findOne({ _id: req.params.id, deletedAt: null });
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    if (!(await canManageRole(req.user, user.role))) {
+      return res.status(403).json({ message: 'Not authorized to change a user with more permissions than you' });
+    }
+    
+    if (role && role !== user.role) {
+      const roleError = await roleGrantError(req.user, role);
+      if (roleError) {
+        return res.status(403).json({ message: roleError });
+      }
+    }
+    
     // Check if email is already taken by another user
     if (email && email !== user.email) {
       const existingUser = await User.findOne({ email });
       if (existingUser) {
-        return res.status(400).json({ message: 'Email is already taken' });
+        return res.status(400).json({ message: emailTakenMessage(existingUser, 'Email is already taken') });
       }
     }
     
+    // Disabling a user or changing their role or password ends their sessions
+    const endSessions = (isActive === false && user.isActive)
+      || (role && role !== user.role)
+      || Boolean(password);
+    
     // Update user fields
     if (name) user.name = name;
     if (email) user.email = email;
@@ -101,12 +228,23 @@ router.put('/:id', checkRole(['super_admin']), async (req, res) => {
     
     // Update password if provided
     if (password) {
-      const salt = await bcrypt.genSalt(10);
-      user.password = await bcrypt.hash(password, salt);
+      user.password = await hashPassword(password);
+      user.passwordChangedAt = new Date();
     }
     
     await user.save();
     
+    if (endSessions) {
+      await revokeUserSessions(user._id);
+    }
+    
+    // A password set by an admin replaces any pending invite or reset link and lifts a lockout
+    if (password) {
+      await discardUserTokens(user._id, 'invite');
+      await discardUserTokens(user._id, 'reset');
+      await clearFailedLogins(user._id);
+    }
+    
     res.json({
       user: {
         _id: user._id,
@@ -124,10 +262,35 @@ router.put('/:id', checkRole(['super_admin']), async (req, res) => {
   }
 });
 
-// Delete a user (Super Admin only)
-router.delete('/:id', checkRole(['super_admin']), async (req, res) => {
+// Unlock an account locked by failed logins (users.manage)
+router.post('/:id/unlock', requirePermission('users.manage'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!(await canManageRole(req.user, user.role))) {
+      return res.status(403).json({ message: 'Not authorized to unlock a user with more permissions than you' });
+    }
+    
+    await clearFailedLogins(user._id);
+    
+    res.json({ message: 'User unlocked successfully' });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ message: 'Server error unlocking user' });
+  }
+});
+
+// Move a user to the trash (users.manage). Their leads must be handed over first:
+// pass reassignTo=<user id> (which also takes over their open tasks) or unassignLeads=true.
+router.delete('/:id', requirePermission('users.manage'), validate({ params: idParams, query: deleteUserQuery }), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const { reassignTo, unassignLeads } = req.query;
+    
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -138,9 +301,51 @@ router.delete('/:id', checkRole(['super_admin']), async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete your own account' });
     }
     
-    await User.findByIdAndDelete(req.params.id);
+    if (!(await canManageRole(req.user, user.role))) {
+      return res.status(403).json({ message: 'Not authorized to delete a user with more permissions than you' });
+    }
+    
+    const leadCount = await Lead.countDocuments({ assignedTo: user._id });
+    if (leadCount > 0 && !reassignTo && !unassignLeads) {
+      return res.status(400).json({
+        message: `Reassign or unassign the user's ${leadCount} leads first (reassignTo=<user id> or unassignLeads=true)`,
+        leadCount,
+      });
+    }
+    
+    if (reassignTo) {
+      const assignee = await User.findOne({ _id: reassignTo, deletedAt: null });
+      if (!assignee || !assignee.isActive || assignee._id.equals(user._id)) {
+        return res.status(400).json({ message: 'Leads must be reassigned to another active user' });
+      }
+      if (!(await canAssignTo(req.user, reassignTo))) {
+        return res.status(403).json({ message: 'Not authorized to assign leads to this user' });
+      }
+    }
+    
+    if (reassignTo || unassignLeads) {
+      const newAssignee = reassignTo || null;
+      const leads = await Lead.find({ assignedTo: user._id }).select('-notes').lean();
+      await runBulkAction(leads, { action: 'assign', assignedTo: newAssignee }, req.user.id);
+      
+      // Trashed leads are handed over too, so restoring one never brings back a deleted assignee
+      await Lead.updateMany({ assignedTo: user._id, deletedAt: { $ne: null } }, { $set: { assignedTo: newAssignee } });
+      
+      if (reassignTo) {
+        await Task.updateMany({ assignedTo: user._id, completed: false }, { $set: { assignedTo: reassignTo } });
+      }
+    }
+    
+    user.deletedAt = new Date();
+    user.deletedBy = req.user.id;
+    user.isActive = false;
+    await user.save();
+    
+    await revokeUserSessions(user._id);
+    await discardUserTokens(user._id, 'invite');
+    await discardUserTokens(user._id, 'reset');
     
-    res.json({ message: 'User deleted successfully' });
+    res.json({ message: 'User moved to the trash', leadsHandedOver: leadCount });
   } catch (error) {
     console.error('Error deleting user:', error);
     res.status(500).json({ message: 'Server error deleting user' });
@@ -0,0 +1,202 @@
+import express from 'express';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validation/common.js';
+import { createWebhookBody, updateWebhookBody, deliveriesQuery, deliveryParams } from '../validation/webhooks.js';
+import { generateSecret, queueDelivery } from '../utils/webhooks.js';
+import { EVENT_TYPES } from '../utils/events.js';
+
+const router = express.Router();
+
+// All webhook routes need the webhooks.manage permission
+router.use(requirePermission('webhooks.manage'));
+
+// Get the events webhooks can subscribe to
+router.get('/events', (req, res) => {
+  res.json(EVENT_TYPES);
+});
+
+// Get all webhooks
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+    res.json(webhooks);
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ message: 'Server error fetching webhooks' });
+  }
+});
+
+// Get webhook by ID
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json(webhook);
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ message: 'Server error fetching webhook' });
+  }
+});
+
+// Register a webhook. The signing secret is only returned here and when rotated.
+router.post('/', validate({ body: createWebhookBody }), async (req, res) => {
+  try {
+    const { secret, ...fields } = req.body;
+
+    const webhook = new Webhook({
+      ...fields,
+      secret: secret || generateSecret(),
+      createdBy: req.user.id,
+    });
+
+    await webhook.save();
+
+    res.status(201).json({ ...webhook.toObject(), secret: webhook.secret });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ message: 'Server error creating webhook' });
+  }
+});
+
+// Update a webhook
+router.put('/:id', validate({ params: idParams, body: updateWebhookBody }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    Object.entries(req.body).forEach(([field, value]) => {
+      if (value !== undefined) webhook[field] = value;
+    });
+
+    await webhook.save();
+
+    res.json(webhook);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ message: 'Server error updating webhook' });
+  }
+});
+
+// Generate a new signing secret
+router.post('/:id/rotate-secret', validate({ params: idParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    webhook.secret = generateSecret();
+    await webhook.save();
+
+    res.json({ secret: webhook.secret });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ message: 'Server error rotating webhook secret' });
+  }
+});
+
+// Delete a webhook and its delivery history
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ message: 'Server error deleting webhook' });
+  }
+});
+
+// Send a test "ping" event
+router.post('/:id/test', validate({ params: idParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const delivery = await queueDelivery(webhook, 'ping', { webhook: webhook._id }, { actor: req.user.id });
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    res.status(500).json({ message: 'Server error testing webhook' });
+  }
+});
+
+// List delivery attempts for a webhook
+router.get('/:id/deliveries', validate({ params: idParams, query: deliveriesQuery }), async (req, res) => {
+  try {
+    const { status, event, page, limit } = req.query;
+
+    const filter = { webhook: req.params.id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      deliveries,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ message: 'Server error fetching webhook deliveries' });
+  }
+});
+
+// Send a past delivery's payload again as a new delivery
+router.post('/:id/deliveries/:deliveryId/redeliver', validate({ params: deliveryParams }), async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.params.id });
+
+    if (!original) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const delivery = await queueDelivery(webhook, original.event, original.payload.data, {
+      actor: original.payload.actor,
+      occurredAt: original.payload.occurredAt,
+    });
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ message: 'Server error redelivering webhook' });
+  }
+});
+
+export default router;
@@ -1,36 +1,62 @@
-import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import User from '../models/User.js';
+import { ensureDefaultRoles } from '../utils/roles.js';
+import { checkPasswordPolicy, checkPasswordPersonalInfo, hashPassword } from '../utils/passwords.js';
 
 dotenv.config();
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/leadflow';
+const SUPER_ADMIN_NAME = process.env.SUPER_ADMIN_NAME || 'Super Admin';
+const SUPER_ADMIN_EMAIL = (process.env.SUPER_ADMIN_EMAIL || 'admin@leadflow.com').toLowerCase();
+
+// Random password with at least one lowercase letter, uppercase letter and digit
+const generatePassword = () => {
+  return `${crypto.randomBytes(12).toString('base64url')}aA1`;
+};
 
 async function createSuperAdmin() {
+  // Use SUPER_ADMIN_PASSWORD if given, otherwise generate one and print it once
+  const generated = !process.env.SUPER_ADMIN_PASSWORD;
+  const password = process.env.SUPER_ADMIN_PASSWORD || generatePassword();
+  
+  const problems = [
+    ...checkPasswordPolicy(password),
+    ...checkPasswordPersonalInfo(password, { email: SUPER_ADMIN_EMAIL, name: SUPER_ADMIN_NAME }),
+  ];
+  if (problems.length > 0) {
+    console.error(`SUPER_ADMIN_PASSWORD does not meet the password policy:\n- ${problems.join('\n- ')}`);
+    process.exit(1);
+  }
+  
   try {
     await mongoose.connect(MONGODB_URI);
+    await ensureDefaultRoles();
     
-    const existingAdmin = await User.findOne({ email: 'admin@leadflow.com' });
+    const existingAdmin = await User.findOne({ email: SUPER_ADMIN_EMAIL });
     
     if (existingAdmin) {
       console.log('Super admin already exists');
       process.exit(0);
     }
     
-    const hashedPassword = await bcrypt.hash('admin123', 10);
-    
     const superAdmin = new User({
-      name: 'Super Admin',
-      email: 'admin@leadflow.com',
-      password: hashedPassword,
+      name: SUPER_ADMIN_NAME,
+      email: SUPER_ADMIN_EMAIL,
+      password: await hashPassword(password),
+      passwordChangedAt: new Date(),
       role: 'super_admin',
       isActive: true,
     });
     
     await superAdmin.save();
     
-    console.log('Super admin account created successfully');
+    console.log(`Super admin account created successfully for ${SUPER_ADMIN_EMAIL}`);
+    if (generated) {
+      console.log(`Generated password: ${password}`);
+      console.log('Store it somewhere safe and change it after your first login.');
+    }
   } catch (error) {
     console.error('Error creating super admin:', error);
   } finally {
@@ -38,4 +64,4 @@ async function createSuperAdmin() {
   }
 }
 
-createSuperAdmin();
\ No newline at end of file
+createSuperAdmin();
@@ -0,0 +1,238 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { query, objectId, flushEvents } from './helpers.js';
+import Lead from '../models/Lead.js';
+import Activity from '../models/Activity.js';
+import AutomationRule from '../models/AutomationRule.js';
+import AutomationRun from '../models/AutomationRun.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { runRule, runInactivityRules } from '../utils/automation.js';
+import { attemptDelivery } from '../utils/webhooks.js';
+import { onEvent, AUTOMATION_WEBHOOK_EVENT } from '../utils/events.js';
+
+const events = [];
+onEvent((event) => {
+  events.push(event);
+});
+
+const userId = objectId();
+
+const makeLead = (fields = {}) => new Lead({
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  source: 'Referral',
+  status: 'New',
+  score: 20,
+  createdBy: userId,
+  ...fields,
+});
+
+const makeRule = (fields = {}) => new AutomationRule({
+  name: 'Follow up',
+  trigger: { type: 'lead.created' },
+  actions: [{ type: 'add_note', text: 'Automated follow-up' }],
+  createdBy: userId,
+  ...fields,
+});
+
+// Serve the lead to runRule and record the runs it saves instead of writing them
+const stubRun = (lead) => {
+  mock.method(Lead, 'findById', () => query(lead));
+  mock.method(lead, 'save', async () => lead);
+  mock.method(Activity, 'insertMany', async () => []);
+  const saved = [];
+  mock.method(AutomationRun.prototype, 'save', async function() {
+    saved.push(this);
+    return this;
+  });
+  return saved;
+};
+
+afterEach(() => {
+  mock.restoreAll();
+  events.length = 0;
+});
+
+describe('runRule', () => {
+  it('runs the actions and passes the chain of rules on to the events they cause', async () => {
+    const lead = makeLead();
+    const rule = makeRule();
+    const saved = stubRun(lead);
+
+    const run = await runRule(rule, lead._id, { type: 'lead.created', automation: null });
+    await flushEvents();
+
+    assert.equal(run.status, 'success');
+    assert.equal(saved.length, 1);
+    assert.equal(lead.notes[0].content, 'Automated follow-up');
+
+    const noteAdded = events.find((event) => event.type === 'note.added');
+    assert.deepEqual(noteAdded.automation, { depth: 1, rules: [rule._id.toString()] });
+  });
+
+  it('skips a rule triggered by its own actions', async () => {
+    const lead = makeLead();
+    const rule = makeRule();
+    const saved = stubRun(lead);
+
+    const run = await runRule(rule, lead._id, {
+      type: 'note.added',
+      automation: { depth: 1, rules: [rule._id.toString()] },
+    });
+
+    assert.equal(run.status, 'skipped');
+    assert.equal(run.error, 'The rule was triggered by its own actions');
+    assert.equal(lead.notes.length, 0);
+    assert.equal(saved.length, 1);
+  });
+
+  it('stops a chain of rules that gets too long', async () => {
+    const lead = makeLead();
+    const rule = makeRule();
+    stubRun(lead);
+
+    const run = await runRule(rule, lead._id, {
+      type: 'lead.updated',
+      automation: { depth: 3, rules: [objectId().toString(), objectId().toString(), objectId().toString()] },
+    });
+
+    assert.equal(run.status, 'skipped');
+    assert.match(run.error, /rules triggered each other/);
+    assert.equal(lead.notes.length, 0);
+  });
+
+  it('logs a lead that does not meet the conditions only when asked to', async () => {
+    const lead = makeLead();
+    const rule = makeRule({ conditions: [{ field: 'source', operator: 'equals', value: 'Web' }] });
+    const saved = stubRun(lead);
+
+    assert.equal(await runRule(rule, lead._id, { type: 'lead.created' }), null);
+    assert.equal(saved.length, 0);
+
+    await runRule(rule, lead._id, { type: 'lead.inactive' }, { recordMiss: true });
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].status, 'not_matched');
+  });
+});
+
+describe('call_webhook actions', () => {
+  const webhook = new Webhook({
+    url: 'https://hooks.example.com/leads',
+    events: [AUTOMATION_WEBHOOK_EVENT],
+    secret: 'secret',
+    createdBy: userId,
+  });
+
+  it('stay pending while a failed delivery waits to be retried', async () => {
+    const lead = makeLead();
+    const rule = makeRule({ actions: [{ type: 'call_webhook', webhook: webhook._id }] });
+    stubRun(lead);
+    mock.method(Webhook, 'findById', () => query(webhook));
+    mock.method(WebhookDelivery.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(globalThis, 'fetch', async () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    const run = await runRule(rule, lead._id, { type: 'lead.created' });
+
+    assert.equal(run.status, 'pending');
+    assert.equal(run.actions[0].status, 'pending');
+    assert.equal(run.actions[0].error, 'connect ECONNREFUSED');
+    assert.ok(run.actions[0].delivery);
+  });
+
+  it('settle the run once the retried delivery succeeds', async () => {
+    const delivery = new WebhookDelivery({
+      webhook: webhook._id,
+      event: AUTOMATION_WEBHOOK_EVENT,
+      payload: { event: AUTOMATION_WEBHOOK_EVENT },
+      attempts: [{ attemptedAt: new Date(), error: 'connect ECONNREFUSED' }],
+    });
+    const run = new AutomationRun({
+      rule: objectId(),
+      lead: objectId(),
+      event: 'lead.created',
+      status: 'pending',
+      actions: [
+        { type: 'add_note', status: 'success' },
+        { type: 'call_webhook', status: 'pending', error: 'connect ECONNREFUSED', delivery: delivery._id },
+      ],
+    });
+
+    mock.method(Webhook, 'findById', () => query(webhook));
+    mock.method(WebhookDelivery.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(globalThis, 'fetch', async () => new Response('ok', { status: 200 }));
+    mock.method(AutomationRun, 'findOne', () => query(run));
+    mock.method(run, 'save', async () => run);
+
+    await attemptDelivery(delivery);
+
+    assert.equal(delivery.status, 'success');
+    assert.equal(run.actions[1].status, 'success');
+    assert.equal(run.actions[1].error, undefined);
+    assert.equal(run.status, 'success');
+  });
+
+  it('fail for a webhook not subscribed to automation events', async () => {
+    const lead = makeLead();
+    const unsubscribed = new Webhook({ url: webhook.url, events: ['lead.created'], secret: 'secret', createdBy: userId });
+    const rule = makeRule({ actions: [{ type: 'call_webhook', webhook: unsubscribed._id }] });
+    stubRun(lead);
+    mock.method(Webhook, 'findById', () => query(unsubscribed));
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response('ok'));
+
+    const run = await runRule(rule, lead._id, { type: 'lead.created' });
+
+    assert.equal(run.status, 'failed');
+    assert.match(run.actions[0].error, /not subscribed/);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+});
+
+describe('runInactivityRules', () => {
+  // Serve the rules, and the stale leads the aggregation would find for each
+  const stubInactivity = (rules, lead) => {
+    mock.method(AutomationRule, 'find', () => query(rules));
+    mock.method(Lead, 'aggregate', () => {
+      const found = [{ _id: lead._id }];
+      return { cursor: () => ({ next: async () => found.shift() || null }) };
+    });
+    return stubRun(lead);
+  };
+
+  const inactive = { type: 'lead.inactive', days: 7 };
+
+  it('records leads that do not match so they are not checked again', async () => {
+    const lead = makeLead();
+    const rule = makeRule({ trigger: inactive, conditions: [{ field: 'source', operator: 'equals', value: 'Web' }] });
+    const saved = stubInactivity([rule], lead);
+
+    assert.equal(await runInactivityRules(), 0);
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].status, 'not_matched');
+  });
+
+  it('keeps checking rules on the score, which changes without the lead being updated', async () => {
+    const lead = makeLead();
+    const rule = makeRule({ trigger: inactive, conditions: [{ field: 'score', operator: 'gte', value: 50 }] });
+    const saved = stubInactivity([rule], lead);
+
+    assert.equal(await runInactivityRules(), 0);
+    assert.equal(saved.length, 0);
+  });
+
+  it('runs rules for the leads that match', async () => {
+    const lead = makeLead();
+    const rule = makeRule({ trigger: inactive, conditions: [{ field: 'score', operator: 'lt', value: 50 }] });
+    const saved = stubInactivity([rule], lead);
+
+    assert.equal(await runInactivityRules(), 1);
+    assert.equal(saved[0].status, 'success');
+    assert.equal(lead.notes[0].content, 'Automated follow-up');
+  });
+});
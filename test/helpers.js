@@ -0,0 +1,63 @@
+import express from 'express';
+import mongoose from 'mongoose';
+
+// Tests run without a database. Model calls a test needs are replaced with mock.method;
+// any other call fails straight away instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+// Stand-in for a mongoose query that resolves to result. Chained query helpers return
+// the same query, so route code like find().populate().sort().lean() works unchanged.
+export const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    exec: () => Promise.resolve(result),
+    distinct: () => query(Array.isArray(result) ? result.map((item) => item._id ?? item) : []),
+  };
+  ['populate', 'select', 'sort', 'skip', 'limit', 'lean'].forEach((method) => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+export const objectId = () => new mongoose.Types.ObjectId();
+
+// A signed-in user with the given permissions, as authenticateToken sets req.user
+export const userWith = (...permissions) => ({
+  id: objectId().toString(),
+  role: 'test',
+  permissions,
+});
+
+// Serve a router as user on a free port. Returns request(method, path, body), which
+// resolves to { status, body }, and close().
+export const serve = async (router, user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(router);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { request, close };
+};
+
+// Wait for the listeners of events emitted with emitEvent, which run on setImmediate
+export const flushEvents = () => new Promise((resolve) => setImmediate(resolve));
@@ -0,0 +1,117 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { query, objectId, userWith, serve } from './helpers.js';
+import Lead from '../models/Lead.js';
+import Team from '../models/Team.js';
+import Task from '../models/Task.js';
+import Activity from '../models/Activity.js';
+import EmailLog from '../models/EmailLog.js';
+import Pipeline, { DEFAULT_STAGES } from '../models/Pipeline.js';
+import leadRoutes from '../routes/leads.js';
+import { restoreLead } from '../utils/trash.js';
+
+const leadFor = (user, fields = {}) => new Lead({
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  status: 'New',
+  assignedTo: user.id,
+  createdBy: user.id,
+  ...fields,
+});
+
+// Stub the writes a merge makes, returning the mocks that record them
+const stubMergeWrites = (primary) => {
+  mock.method(primary, 'save', async () => primary);
+  mock.method(Lead, 'findById', () => query(primary));
+  mock.method(Activity, 'insertMany', async () => []);
+  return {
+    moved: [Activity, EmailLog, Task].map((model) => mock.method(model, 'updateMany', async () => ({}))),
+    trashed: mock.method(Lead, 'updateMany', async () => ({})),
+    deleted: mock.method(Lead, 'deleteMany', async () => ({})),
+  };
+};
+
+const merge = async (user, body) => {
+  const app = await serve(leadRoutes, user);
+  try {
+    return await app.request('POST', '/merge', body);
+  } finally {
+    await app.close();
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('merging leads', () => {
+  it('moves the merged leads to the trash with the lead they were merged into', async () => {
+    const user = userWith('leads.read.all', 'leads.merge');
+    const primary = leadFor(user);
+    const duplicate = leadFor(user, { phone: '555 0100', tags: [objectId()] });
+    mock.method(Lead, 'find', () => query([primary, duplicate]));
+    const writes = stubMergeWrites(primary);
+
+    const response = await merge(user, {
+      primaryId: primary._id.toString(),
+      mergeIds: [duplicate._id.toString()],
+      fields: { phone: duplicate._id.toString() },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(primary.phone, '555 0100');
+    assert.deepEqual(primary.tags.map(String), duplicate.tags.map(String));
+    assert.equal(primary.mergedFrom[0].lead.toString(), duplicate._id.toString());
+
+    // History, emails and tasks follow the primary lead
+    writes.moved.forEach((updateMany) => {
+      assert.deepEqual(updateMany.mock.calls[0].arguments[1], { $set: { lead: primary._id } });
+    });
+
+    assert.equal(writes.deleted.mock.callCount(), 0);
+    const [filter, update] = writes.trashed.mock.calls[0].arguments;
+    assert.deepEqual(filter._id.$in, [duplicate._id]);
+    assert.ok(update.$set.deletedAt instanceof Date);
+    assert.equal(update.$set.mergedInto, primary._id);
+  });
+
+  it('refuses when the user cannot access every lead', async () => {
+    const user = userWith('leads.read.own', 'leads.merge');
+    const primary = leadFor(user);
+    const otherAgentsLead = leadFor(userWith());
+    mock.method(Lead, 'find', () => query([primary, otherAgentsLead]));
+    mock.method(Team, 'find', () => query([]));
+    const writes = stubMergeWrites(primary);
+
+    const response = await merge(user, {
+      primaryId: primary._id.toString(),
+      mergeIds: [otherAgentsLead._id.toString()],
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(primary.save.mock.callCount(), 0);
+    assert.equal(writes.trashed.mock.callCount(), 0);
+  });
+});
+
+describe('restoring a merged lead', () => {
+  it('takes it off the lead it was merged into', async () => {
+    const user = userWith();
+    const primaryId = objectId();
+    const lead = leadFor(user, { deletedAt: new Date(), mergedInto: primaryId });
+    const pipeline = new Pipeline({ name: 'Sales', stages: DEFAULT_STAGES });
+    lead.pipeline = pipeline._id;
+
+    mock.method(Pipeline, 'findById', () => query(pipeline));
+    mock.method(Activity, 'insertMany', async () => []);
+    mock.method(lead, 'save', async () => lead);
+    const updateOne = mock.method(Lead, 'updateOne', async () => ({}));
+
+    await restoreLead(lead, user.id);
+
+    assert.equal(lead.deletedAt, null);
+    assert.equal(lead.mergedInto, null);
+    assert.deepEqual(updateOne.mock.calls[0].arguments, [
+      { _id: primaryId },
+      { $pull: { mergedFrom: { lead: lead._id } } },
+    ]);
+  });
+});
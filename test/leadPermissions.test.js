@@ -0,0 +1,153 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { query, objectId, userWith, serve } from './helpers.js';
+import Lead from '../models/Lead.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import leadRoutes from '../routes/leads.js';
+
+// Agents see their own leads; nobody here manages a team
+const agent = () => userWith('leads.read.own', 'leads.create', 'leads.update');
+
+const withApp = async (user, run) => {
+  const app = await serve(leadRoutes, user);
+  try {
+    await run(app.request);
+  } finally {
+    await app.close();
+  }
+};
+
+const leadFor = (user) => new Lead({
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  status: 'New',
+  assignedTo: user.id,
+  createdBy: user.id,
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('lead tasks', () => {
+  it('lets users with read access list tasks', async () => {
+    mock.method(Lead, 'findById', () => query(null));
+
+    await withApp(userWith('leads.read.own'), async (request) => {
+      const response = await request('GET', `/${objectId()}/tasks`);
+      assert.equal(response.status, 404);
+    });
+  });
+
+  it('needs leads.update to create, change or delete tasks', async () => {
+    const findById = mock.method(Lead, 'findById', () => query(null));
+    const leadId = objectId();
+    const taskId = objectId();
+
+    await withApp(userWith('leads.read.own'), async (request) => {
+      const created = await request('POST', `/${leadId}/tasks`, { title: 'Call back', dueDate: new Date() });
+      const updated = await request('PUT', `/${leadId}/tasks/${taskId}`, { completed: true });
+      const deleted = await request('DELETE', `/${leadId}/tasks/${taskId}`);
+
+      assert.deepEqual([created.status, updated.status, deleted.status], [403, 403, 403]);
+    });
+    assert.equal(findById.mock.callCount(), 0);
+  });
+});
+
+describe('creating a lead', () => {
+  it('rejects an assignee outside the user\'s team', async () => {
+    mock.method(Team, 'find', () => query([]));
+    const save = mock.method(Lead.prototype, 'save', async function() {
+      return this;
+    });
+
+    await withApp(agent(), async (request) => {
+      const response = await request('POST', '/', {
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        assignedTo: objectId().toString(),
+      });
+
+      assert.equal(response.status, 403);
+      assert.equal(response.body.message, 'Not authorized to assign leads to this user');
+    });
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('rejects an inactive assignee', async () => {
+    mock.method(User, 'findById', () => query({ isActive: false }));
+    const save = mock.method(Lead.prototype, 'save', async function() {
+      return this;
+    });
+
+    await withApp(userWith('leads.read.all', 'leads.create', 'leads.assign'), async (request) => {
+      const response = await request('POST', '/', {
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        assignedTo: objectId().toString(),
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Assignee must be an active user');
+    });
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
+
+describe('updating a lead', () => {
+  it('rejects a reassignment the user may not make', async () => {
+    const user = agent();
+    const lead = leadFor(user);
+    mock.method(Lead, 'findById', () => query(lead));
+    mock.method(Team, 'find', () => query([]));
+    const save = mock.method(lead, 'save', async () => lead);
+
+    await withApp(user, async (request) => {
+      const response = await request('PUT', `/${lead._id}`, { assignedTo: objectId().toString() });
+      assert.equal(response.status, 403);
+    });
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(lead.assignedTo.toString(), user.id);
+  });
+
+  it('rejects a reassignment to an inactive user', async () => {
+    const user = userWith('leads.read.all', 'leads.update', 'leads.assign');
+    const lead = leadFor(user);
+    mock.method(Lead, 'findById', () => query(lead));
+    mock.method(User, 'findById', () => query(null));
+    const save = mock.method(lead, 'save', async () => lead);
+
+    await withApp(user, async (request) => {
+      const response = await request('PUT', `/${lead._id}`, { assignedTo: objectId().toString() });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, 'Assignee must be an active user');
+    });
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
+
+describe('lead scope', () => {
+  it('hides leads assigned to other users from leads.read.own', async () => {
+    const lead = leadFor(userWith());
+    mock.method(Lead, 'findById', () => query(lead));
+    mock.method(Team, 'find', () => query([]));
+
+    await withApp(agent(), async (request) => {
+      const response = await request('GET', `/${lead._id}`);
+      assert.equal(response.status, 403);
+    });
+  });
+
+  it('shows team members\' leads to their manager', async () => {
+    const member = userWith();
+    const lead = leadFor(member);
+    mock.method(Lead, 'findById', () => query(lead));
+    mock.method(Team, 'find', () => query([{ members: [member.id] }]));
+
+    await withApp(agent(), async (request) => {
+      const response = await request('GET', `/${lead._id}`);
+      assert.equal(response.status, 200);
+      assert.equal(response.body._id, lead._id.toString());
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { query, objectId, userWith, serve } from './helpers.js';
+import Lead from '../models/Lead.js';
+import User from '../models/User.js';
+import Task from '../models/Task.js';
+import Activity from '../models/Activity.js';
+import EmailLog from '../models/EmailLog.js';
+import Team from '../models/Team.js';
+import UserToken from '../models/UserToken.js';
+import RefreshToken from '../models/RefreshToken.js';
+import SavedView from '../models/SavedView.js';
+import trashRoutes from '../routes/trash.js';
+import { trashLeads, purgeLeads, purgeUsers } from '../utils/trash.js';
+
+const withApp = async (user, run) => {
+  const app = await serve(trashRoutes, user);
+  try {
+    await run(app.request);
+  } finally {
+    await app.close();
+  }
+};
+
+// Stub deleteMany on each model, returning the mocks
+const stubDeletes = (...models) => models.map((model) => mock.method(model, 'deleteMany', async () => ({ deletedCount: 1 })));
+
+afterEach(() => mock.restoreAll());
+
+describe('trash routes', () => {
+  it('need trash.manage', async () => {
+    const find = mock.method(Lead, 'find', () => query([]));
+
+    await withApp(userWith('leads.read.all', 'leads.delete'), async (request) => {
+      const listed = await request('GET', '/leads');
+      const purged = await request('DELETE', `/leads/${objectId()}`);
+      assert.deepEqual([listed.status, purged.status], [403, 403]);
+    });
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('will not purge a lead that is not in the trash', async () => {
+    const find = mock.method(Lead, 'find', () => query([]));
+    const deletes = stubDeletes(Lead, Task, Activity, EmailLog);
+
+    await withApp(userWith('trash.manage'), async (request) => {
+      const response = await request('DELETE', `/leads/${objectId()}`);
+      assert.equal(response.status, 404);
+    });
+    assert.deepEqual(find.mock.calls[0].arguments[0].deletedAt, { $ne: null });
+    deletes.forEach((deleteMany) => assert.equal(deleteMany.mock.callCount(), 0));
+  });
+});
+
+describe('trashLeads', () => {
+  it('marks the leads deleted and records it on their timelines', async () => {
+    const userId = objectId();
+    const leads = [{ _id: objectId() }, { _id: objectId() }];
+    const updateMany = mock.method(Lead, 'updateMany', async () => ({}));
+    const insertMany = mock.method(Activity, 'insertMany', async () => []);
+
+    await trashLeads(leads, userId);
+
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter._id.$in, leads.map((lead) => lead._id));
+    assert.equal(update.$set.deletedBy, userId);
+    assert.equal(update.$set.mergedInto, null);
+    assert.deepEqual(insertMany.mock.calls[0].arguments[0].map((entry) => entry.type), ['deleted', 'deleted']);
+  });
+});
+
+describe('purgeLeads', () => {
+  it('removes the tasks, timeline and emails of trashed leads only', async () => {
+    const trashed = objectId();
+    mock.method(Lead, 'find', () => query([{ _id: trashed }]));
+    const [leads, tasks, activity, emails] = stubDeletes(Lead, Task, Activity, EmailLog);
+
+    const count = await purgeLeads([trashed, objectId()]);
+
+    assert.equal(count, 1);
+    assert.deepEqual(leads.mock.calls[0].arguments[0], { _id: { $in: [trashed] } });
+    [tasks, activity, emails].forEach((deleteMany) => {
+      assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { lead: { $in: [trashed] } });
+    });
+  });
+
+  it('does nothing when none of the leads are in the trash', async () => {
+    mock.method(Lead, 'find', () => query([]));
+    const deletes = stubDeletes(Lead, Task, Activity, EmailLog);
+
+    assert.equal(await purgeLeads([objectId()]), 0);
+    deletes.forEach((deleteMany) => assert.equal(deleteMany.mock.callCount(), 0));
+  });
+});
+
+describe('purgeUsers', () => {
+  it('removes the teams, sessions and private views of trashed users only', async () => {
+    const trashed = objectId();
+    mock.method(User, 'find', () => query([{ _id: trashed }]));
+    const [users, tokens, refreshTokens, views] = stubDeletes(User, UserToken, RefreshToken, SavedView);
+    const teams = mock.method(Team, 'updateMany', async () => ({}));
+
+    const count = await purgeUsers([trashed, objectId()]);
+
+    assert.equal(count, 1);
+    assert.deepEqual(users.mock.calls[0].arguments[0], { _id: { $in: [trashed] } });
+    assert.deepEqual(teams.mock.calls[0].arguments[1].$pull.members, { $in: [trashed] });
+    assert.deepEqual(tokens.mock.calls[0].arguments[0], { user: { $in: [trashed] } });
+    assert.deepEqual(refreshTokens.mock.calls[0].arguments[0], { user: { $in: [trashed] } });
+    assert.deepEqual(views.mock.calls[0].arguments[0], { createdBy: { $in: [trashed] }, shared: false });
+  });
+
+  it('leaves active users alone', async () => {
+    mock.method(User, 'find', () => query([]));
+    const deletes = stubDeletes(User, UserToken, RefreshToken, SavedView);
+    const teams = mock.method(Team, 'updateMany', async () => ({}));
+
+    assert.equal(await purgeUsers([objectId()]), 0);
+    deletes.forEach((deleteMany) => assert.equal(deleteMany.mock.callCount(), 0));
+    assert.equal(teams.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,34 @@
+import { sendMail } from './mailer.js';
+import { INVITE_TTL, RESET_TTL } from './userTokens.js';
+
+// Base URL of the web app that handles the links in account emails
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+export const sendInviteEmail = async (user, token, invitedBy) => {
+  const link = `${APP_URL}/accept-invite?token=${token}`;
+  const inviter = invitedBy ? `${invitedBy.name} has invited you` : 'You have been invited';
+
+  await sendMail({
+    to: user.email,
+    subject: 'You have been invited to LeadFlow',
+    text: `Hi ${user.name},\n\n${inviter} to join LeadFlow. Set your password here:\n\n${link}\n\nThis link expires in ${INVITE_TTL}.`,
+  });
+};
+
+export const sendPasswordResetEmail = async (user, token) => {
+  const link = `${APP_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your LeadFlow password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your LeadFlow password. Choose a new one here:\n\n${link}\n\nThis link expires in ${RESET_TTL}. If you did not ask for this, you can ignore this email.`,
+  });
+};
+
+export const sendPasswordChangedEmail = async (user) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Your LeadFlow password was changed',
+    text: `Hi ${user.name},\n\nThe password for your LeadFlow account was just changed and your other sessions were signed out. If this was not you, reset your password straight away.`,
+  });
+};
@@ -0,0 +1,64 @@
+import Activity from '../models/Activity.js';
+
+// Lead fields whose changes are written to the timeline
+export const TRACKED_FIELDS = ['name', 'email', 'phone', 'source', 'pipeline', 'status', 'assignedTo', 'tags'];
+
+// Activity type used for a change to each field (anything else is a plain update)
+const FIELD_TYPES = {
+  status: 'status_changed',
+  pipeline: 'pipeline_changed',
+  assignedTo: 'assigned',
+  tags: 'tags_changed',
+};
+
+// Convert a field value to a plain, comparable value (ObjectIds become strings)
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value.map((item) => normalizeValue(item));
+  if (typeof value === 'object' && value._id) return value._id.toString();
+  if (typeof value === 'object' && typeof value.toHexString === 'function') return value.toString();
+  return value;
+};
+
+// Capture the tracked fields of a lead before it is modified.
+// Custom fields are tracked one by one, as "customFields.<key>".
+export const snapshotLead = (lead) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach((field) => {
+    snapshot[field] = normalizeValue(lead[field]);
+  });
+  Object.entries(lead.customFields || {}).forEach(([key, value]) => {
+    snapshot[`customFields.${key}`] = normalizeValue(value);
+  });
+  return snapshot;
+};
+
+// Build timeline entries for every tracked field that differs from the snapshot
+export const diffLead = (before, lead, userId) => {
+  const after = snapshotLead(lead);
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map((field) => ({
+      lead: lead._id,
+      type: FIELD_TYPES[field] || 'updated',
+      field,
+      oldValue: before[field] ?? null,
+      newValue: after[field] ?? null,
+      createdBy: userId,
+    }));
+};
+
+// Persist timeline entries. Failures are logged rather than thrown so that
+// a lead change which has already been saved is still reported as a success.
+export const recordActivity = async (entries) => {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (list.length === 0) return;
+
+  try {
+    await Activity.insertMany(list);
+  } catch (error) {
+    console.error('Error recording lead activity:', error);
+  }
+};
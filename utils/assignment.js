@@ -0,0 +1,90 @@
+import AssignmentRule from '../models/AssignmentRule.js';
+import Lead from '../models/Lead.js';
+import User from '../models/User.js';
+import { matchesConditions } from './conditions.js';
+import { buildStageFilter } from './pipelines.js';
+import { rolesWithPermission } from './roles.js';
+
+// Active rules in the order they are tried
+export const loadActiveRules = () => {
+  return AssignmentRule.find({ isActive: true }).sort({ priority: 1, createdAt: 1 });
+};
+
+// Active users a rule can assign to, in a stable order. Without a list of agents, that is
+// everyone whose role works the leads assigned to them (leads.read.own), whatever it is called.
+const agentPool = async (rule) => {
+  const filter = rule.agents.length > 0
+    ? { _id: { $in: rule.agents } }
+    : { role: { $in: await rolesWithPermission('leads.read.own') } };
+
+  return User.find({ ...filter, isActive: true }).select('name email').sort({ _id: 1 });
+};
+
+// The agent with the fewest leads in open stages. pendingLoad counts leads
+// assigned in memory but not saved yet, e.g. during a batched import.
+const leastLoaded = async (pool, pendingLoad) => {
+  const openFilter = await buildStageFilter({ stageType: 'open' });
+  const counts = await Lead.aggregate([
+    { $match: { ...openFilter, assignedTo: { $in: pool.map((agent) => agent._id) } } },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } },
+  ]);
+
+  const load = new Map(counts.map((item) => [item._id.toString(), item.count]));
+  if (pendingLoad) {
+    pendingLoad.forEach((count, agentId) => load.set(agentId, (load.get(agentId) || 0) + count));
+  }
+
+  return pool.reduce((best, agent) => {
+    return (load.get(agent._id.toString()) || 0) < (load.get(best._id.toString()) || 0) ? agent : best;
+  });
+};
+
+// Take the next turn atomically so concurrent requests do not pick the same agent
+const nextInTurn = async (rule, pool) => {
+  const updated = await AssignmentRule.findByIdAndUpdate(
+    rule._id,
+    { $inc: { assignmentCount: 1 } },
+    { new: true }
+  );
+  return pool[(updated.assignmentCount - 1) % pool.length];
+};
+
+// Timeline entry for a lead assigned by an assignment rule
+export const assignmentActivity = (lead, { rule, agent }, userId) => ({
+  lead: lead._id,
+  type: 'assigned',
+  field: 'assignedTo',
+  oldValue: null,
+  newValue: agent._id.toString(),
+  meta: { rule: rule._id.toString(), ruleName: rule.name },
+  createdBy: userId,
+});
+
+// Assign an unassigned lead using the first matching rule that has an active agent.
+// The lead is updated in memory only; returns the rule and agent, or null.
+// Pass a pendingLoad Map when assigning several leads before saving them.
+export const autoAssign = async (lead, rules, pendingLoad) => {
+  if (lead.assignedTo) return null;
+
+  const activeRules = rules || await loadActiveRules();
+
+  for (const rule of activeRules) {
+    if (!matchesConditions(lead, rule.conditions)) continue;
+
+    const pool = await agentPool(rule);
+    if (pool.length === 0) continue;
+
+    const agent = rule.strategy === 'least_loaded'
+      ? await leastLoaded(pool, pendingLoad)
+      : await nextInTurn(rule, pool);
+
+    lead.assignedTo = agent._id;
+    if (pendingLoad) {
+      const agentId = agent._id.toString();
+      pendingLoad.set(agentId, (pendingLoad.get(agentId) || 0) + 1);
+    }
+    return { rule, agent };
+  }
+
+  return null;
+};
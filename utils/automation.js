@@ -0,0 +1,298 @@
+import Lead from '../models/Lead.js';
+import Tag from '../models/Tag.js';
+import User from '../models/User.js';
+import Task from '../models/Task.js';
+import Pipeline from '../models/Pipeline.js';
+import AutomationRule from '../models/AutomationRule.js';
+import AutomationRun from '../models/AutomationRun.js';
+import Webhook from '../models/Webhook.js';
+import { matchesConditions } from './conditions.js';
+import { loadCustomFields, coerceCustomValue, CUSTOM_FIELD_PREFIX } from './customFields.js';
+import { snapshotLead, diffLead, recordActivity } from './activity.js';
+import { onEvent, emitEvent, emitLeadChanges, serializeLead, AUTOMATION_WEBHOOK_EVENT } from './events.js';
+import { queueDelivery } from './webhooks.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A chain of rules triggering each other through the events their actions cause
+// stops after this many rules, and a rule never runs twice in one chain
+const MAX_DEPTH = parseInt(process.env.AUTOMATION_MAX_DEPTH || '3');
+
+// Lead fields set_field can change, besides custom fields (cf.<key>)
+export const SETTABLE_FIELDS = ['status', 'source'];
+
+// Lead fields conditions can test, besides custom fields (cf.<key>)
+export const AUTOMATION_CONDITION_FIELDS = [
+  'name', 'email', 'phone', 'source', 'status', 'pipeline', 'assignedTo', 'tags', 'score', 'noteCount',
+];
+
+// Condition fields that change without the lead being updated: the score decays each
+// time the rescore job runs. Inactivity rules that test them do not record misses.
+const UNTRACKED_FIELDS = ['score'];
+
+// Rule trigger for each lead event
+const EVENT_TRIGGERS = {
+  'lead.created': 'lead.created',
+  'lead.updated': 'lead.field_changed',
+  'note.added': 'note.added',
+};
+
+// What the rule conditions are tested against
+const automationFacts = (lead) => ({
+  name: lead.name,
+  email: lead.email,
+  phone: lead.phone,
+  source: lead.source,
+  status: lead.status,
+  pipeline: lead.pipeline,
+  assignedTo: lead.assignedTo,
+  tags: lead.tags,
+  score: lead.score,
+  noteCount: (lead.notes || []).length,
+  cf: lead.customFields || {},
+});
+
+const sameValue = (value, expected) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values.some((item) => item !== null && String(item).toLowerCase() === String(expected).toLowerCase());
+};
+
+// Whether a lead.updated event changed the trigger's field (to its value, if set)
+const fieldChanged = ({ field, to }, changes) => {
+  const path = field.startsWith(CUSTOM_FIELD_PREFIX) ? `customFields.${field.slice(CUSTOM_FIELD_PREFIX.length)}` : field;
+  return changes.some((change) => change.field === path && (to === null || to === undefined || sameValue(change.newValue, to)));
+};
+
+// Actions that change the lead itself. They are applied to the document, which is saved
+// once they have all run. Each returns an error message, or nothing when it succeeded.
+const LEAD_ACTIONS = {
+  set_field: async (lead, { field, value }) => {
+    if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+      const key = field.slice(CUSTOM_FIELD_PREFIX.length);
+      const customField = (await loadCustomFields()).find((item) => item.key === key);
+      if (!customField) return `Custom field ${key} no longer exists`;
+
+      const result = coerceCustomValue(customField, value);
+      if (result.error) return result.error;
+      lead.customFields = { ...lead.customFields, [key]: result.value };
+      return null;
+    }
+
+    if (field === 'status') {
+      const pipeline = await Pipeline.findById(lead.pipeline);
+      if (!pipeline || !pipeline.getStage(String(value))) return `"${value}" is not a stage of the lead's pipeline`;
+    }
+    lead[field] = String(value);
+    return null;
+  },
+  add_tag: async (lead, { tag }) => {
+    if (!(await Tag.exists({ _id: tag }))) return 'Tag no longer exists';
+    if (!lead.tags.some((id) => id.equals(tag))) lead.tags.push(tag);
+    return null;
+  },
+  remove_tag: async (lead, { tag }) => {
+    lead.tags = lead.tags.filter((id) => !id.equals(tag));
+    return null;
+  },
+  assign: async (lead, { user }) => {
+    const assignee = await User.findById(user).select('isActive');
+    if (!assignee || !assignee.isActive) return 'Assignee must be an active user';
+    lead.assignedTo = assignee._id;
+    return null;
+  },
+  add_note: async (lead, { text }, actorId) => {
+    lead.notes.unshift({ content: text, createdBy: actorId, createdAt: new Date() });
+    return null;
+  },
+};
+
+// Actions run once the lead is saved. Each returns an error message, nothing when it
+// succeeded, or the fields of its result (call_webhook).
+const FOLLOW_UP_ACTIONS = {
+  create_task: async (lead, { text, dueInDays, user }, actorId, rule) => {
+    const task = new Task({
+      lead: lead._id,
+      title: text,
+      dueDate: new Date(Date.now() + (dueInDays ?? 1) * DAY_MS),
+      assignedTo: user || lead.assignedTo || actorId,
+      createdBy: actorId,
+    });
+    await task.save();
+
+    await recordActivity({
+      lead: lead._id,
+      type: 'task_created',
+      newValue: task.title,
+      meta: { task: task._id.toString(), type: task.type, dueDate: task.dueDate, automationRule: rule._id.toString() },
+      createdBy: actorId,
+    });
+    return null;
+  },
+  // Delivered like webhook events: signed, with a timeout, and retried by the webhook
+  // retry job if the first attempt fails. The action stays pending until the delivery
+  // succeeds or gives up.
+  call_webhook: async (lead, { webhook: webhookId }, actorId, rule, event) => {
+    const webhook = await Webhook.findById(webhookId);
+    if (!webhook) return 'Webhook no longer exists';
+    if (!webhook.events.includes(AUTOMATION_WEBHOOK_EVENT)) return `Webhook is not subscribed to ${AUTOMATION_WEBHOOK_EVENT}`;
+
+    const delivery = await queueDelivery(webhook, AUTOMATION_WEBHOOK_EVENT, {
+      rule: { _id: rule._id.toString(), name: rule.name },
+      trigger: event.type,
+      lead: serializeLead(lead),
+    }, { actor: actorId.toString() });
+
+    const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+    return { status: delivery.status, error: lastAttempt?.error, delivery: delivery._id };
+  },
+};
+
+// Run a rule's actions on a lead document. Returns the result of each action in order.
+// Actions act as the rule's creator, and the events they cause carry the chain of rules.
+const runActions = async (rule, lead, event, chain) => {
+  const actorId = rule.createdBy;
+  const results = rule.actions.map((action) => ({ type: action.type, status: 'success' }));
+  const fail = (index, error) => Object.assign(results[index], { status: 'failed', error });
+
+  const before = snapshotLead(lead);
+  const noteCount = lead.notes.length;
+  const applied = [];
+
+  for (const [index, action] of rule.actions.entries()) {
+    const run = LEAD_ACTIONS[action.type];
+    if (!run) continue;
+
+    const error = await run(lead, action, actorId);
+    if (error) fail(index, error);
+    else applied.push(index);
+  }
+
+  if (applied.length > 0) {
+    try {
+      await lead.save();
+
+      const meta = { automationRule: rule._id.toString() };
+      const changes = diffLead(before, lead, actorId).map((change) => ({ ...change, meta }));
+      const notes = lead.notes.slice(0, lead.notes.length - noteCount);
+
+      await recordActivity([
+        ...changes,
+        ...notes.map((note) => ({ lead: lead._id, type: 'note_added', newValue: note.content, meta, createdBy: actorId })),
+      ]);
+      emitLeadChanges(lead, changes, actorId, chain);
+      notes.forEach((note) => {
+        emitEvent('note.added', { lead: serializeLead(lead), note: note.toObject() }, actorId, chain);
+      });
+    } catch (error) {
+      applied.forEach((index) => fail(index, error.message));
+    }
+  }
+
+  for (const [index, action] of rule.actions.entries()) {
+    const run = FOLLOW_UP_ACTIONS[action.type];
+    if (!run) continue;
+
+    try {
+      const outcome = await run(lead, action, actorId, rule, event);
+      if (typeof outcome === 'string') fail(index, outcome);
+      else if (outcome) Object.assign(results[index], outcome);
+    } catch (error) {
+      fail(index, error.message);
+    }
+  }
+
+  return results;
+};
+
+// Run a rule for a lead if the lead (as it is now) meets its conditions, and log the run.
+// Rules that would continue a loop are logged as skipped instead. With recordMiss, a lead
+// that does not meet the conditions is logged as not_matched, so it is not checked again.
+export const runRule = async (rule, leadId, event, { recordMiss = false } = {}) => {
+  const chain = event.automation || { depth: 0, rules: [] };
+  const ruleId = rule._id.toString();
+
+  const lead = await Lead.findById(leadId);
+  if (!lead) return null;
+
+  const run = new AutomationRun({
+    rule: rule._id,
+    lead: lead._id,
+    event: event.type,
+    depth: chain.depth,
+  });
+
+  if (!matchesConditions(automationFacts(lead), rule.conditions)) {
+    if (recordMiss) {
+      run.status = 'not_matched';
+      await run.save();
+    }
+    return null;
+  }
+
+  if (chain.rules.includes(ruleId) || chain.depth >= MAX_DEPTH) {
+    run.status = 'skipped';
+    run.error = chain.rules.includes(ruleId)
+      ? 'The rule was triggered by its own actions'
+      : `More than ${MAX_DEPTH} rules triggered each other in a row`;
+  } else {
+    run.actions = await runActions(rule, lead, event, { depth: chain.depth + 1, rules: [...chain.rules, ruleId] });
+    run.settleStatus();
+  }
+
+  await run.save();
+  return run;
+};
+
+// Run the active rules with the event's trigger, in order, for the lead in the event
+export const registerAutomationListener = () => {
+  onEvent(async (event) => {
+    const trigger = EVENT_TRIGGERS[event.type];
+    if (!trigger || !event.data.lead) return;
+
+    const rules = await AutomationRule.find({ isActive: true, 'trigger.type': trigger }).sort({ createdAt: 1 });
+    for (const rule of rules) {
+      if (trigger === 'lead.field_changed' && !fieldChanged(rule.trigger, event.data.changes)) continue;
+      await runRule(rule, event.data.lead._id, event);
+    }
+  });
+};
+
+// Run the lead.inactive rules for leads that have not been updated for the rule's days.
+// A rule is tried once for each period of inactivity: leads it already ran for, or found
+// not to meet its conditions, since their last update are left out. Rules with conditions
+// on untracked fields record no misses, so leads that did not match are checked each time.
+export const runInactivityRules = async () => {
+  const rules = await AutomationRule.find({ isActive: true, 'trigger.type': 'lead.inactive' }).sort({ createdAt: 1 });
+  let count = 0;
+
+  for (const rule of rules) {
+    const recordMiss = !rule.conditions.some((condition) => UNTRACKED_FIELDS.includes(condition.field));
+    const cutoff = new Date(Date.now() - rule.trigger.days * DAY_MS);
+    const cursor = Lead.aggregate([
+      { $match: { deletedAt: null, updatedAt: { $lte: cutoff } } },
+      {
+        $lookup: {
+          from: AutomationRun.collection.name,
+          let: { lead: '$_id', since: '$updatedAt' },
+          pipeline: [
+            { $match: { $expr: { $and: [
+              { $eq: ['$rule', rule._id] },
+              { $eq: ['$lead', '$$lead'] },
+              { $gte: ['$createdAt', '$$since'] },
+            ] } } },
+            { $limit: 1 },
+          ],
+          as: 'runs',
+        },
+      },
+      { $match: { runs: { $size: 0 } } },
+      { $project: { _id: 1 } },
+    ]).cursor();
+
+    for (let lead = await cursor.next(); lead; lead = await cursor.next()) {
+      if (await runRule(rule, lead._id, { type: 'lead.inactive', automation: null }, { recordMiss })) count++;
+    }
+  }
+
+  return count;
+};
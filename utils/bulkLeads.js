@@ -0,0 +1,179 @@
+import mongoose from 'mongoose';
+import Lead from '../models/Lead.js';
+import Pipeline from '../models/Pipeline.js';
+import Tag from '../models/Tag.js';
+import { recordActivity } from './activity.js';
+import { emitEvent, emitLeadChanges, serializeLead } from './events.js';
+import { trashLeads } from './trash.js';
+import { rescoreLeads } from './rescore.js';
+
+// Permission each bulk action needs, on top of being able to see the leads
+export const BULK_PERMISSIONS = {
+  set_status: 'leads.update',
+  assign: 'leads.update',
+  add_tags: 'leads.update',
+  remove_tags: 'leads.update',
+  add_note: 'leads.update',
+  delete: 'leads.delete',
+};
+
+const ids = (leads) => leads.map((lead) => lead._id);
+const idList = (values) => (values || []).map((value) => value.toString());
+
+// Record the timeline entries and emit the events for leads changed in bulk.
+// updates is a list of { lead, changes } with the lead as it is after the change.
+const finish = async (updates, userId) => {
+  await recordActivity(updates.flatMap((update) => update.changes));
+  updates.forEach(({ lead, changes }) => emitLeadChanges(lead, changes, userId));
+};
+
+// Leads whose pipeline has no such stage fail; the rest move to it
+const setStatus = async (leads, { status }, userId, failures) => {
+  const pipelineIds = [...new Set(leads.map((lead) => lead.pipeline?.toString()).filter(Boolean))];
+  const pipelines = await Pipeline.find({ _id: { $in: pipelineIds } });
+  const pipelineById = new Map(pipelines.map((pipeline) => [pipeline._id.toString(), pipeline]));
+
+  const toChange = leads.filter((lead) => {
+    const pipeline = pipelineById.get(lead.pipeline?.toString());
+    if (!pipeline || !pipeline.getStage(status)) {
+      failures.set(lead._id.toString(), `Stage ${status} does not exist in the lead's pipeline`);
+      return false;
+    }
+    return lead.status !== status;
+  });
+  if (toChange.length === 0) return;
+
+  const updatedAt = new Date();
+  await Lead.updateMany({ _id: { $in: ids(toChange) } }, { $set: { status, updatedAt } });
+
+  await finish(toChange.map((lead) => ({
+    lead: { ...lead, status, updatedAt },
+    changes: [{
+      lead: lead._id,
+      type: 'status_changed',
+      field: 'status',
+      oldValue: lead.status,
+      newValue: status,
+      createdBy: userId,
+    }],
+  })), userId);
+};
+
+// assignedTo null unassigns the leads
+const assign = async (leads, { assignedTo }, userId) => {
+  const toChange = leads.filter((lead) => lead.assignedTo?.toString() !== (assignedTo || undefined));
+  if (toChange.length === 0) return;
+
+  const updatedAt = new Date();
+  await Lead.updateMany({ _id: { $in: ids(toChange) } }, { $set: { assignedTo, updatedAt } });
+
+  await finish(toChange.map((lead) => ({
+    lead: { ...lead, assignedTo, updatedAt },
+    changes: [{
+      lead: lead._id,
+      type: 'assigned',
+      field: 'assignedTo',
+      oldValue: lead.assignedTo ? lead.assignedTo.toString() : null,
+      newValue: assignedTo,
+      createdBy: userId,
+    }],
+  })), userId);
+};
+
+// Add or remove tags. Leads whose tags would not change are left alone.
+const changeTags = (adding) => async (leads, { tags }, userId) => {
+  const updates = leads
+    .map((lead) => {
+      const before = idList(lead.tags);
+      const after = adding
+        ? [...new Set([...before, ...tags])]
+        : before.filter((tag) => !tags.includes(tag));
+      return { lead, before, after };
+    })
+    .filter(({ before, after }) => before.length !== after.length);
+  if (updates.length === 0) return;
+
+  const updatedAt = new Date();
+  const tagIds = tags.map((tag) => new mongoose.Types.ObjectId(tag));
+  // Tag names are kept on leads for search
+  const tagNames = (await Tag.find({ _id: { $in: tagIds } }).select('name').lean()).map((tag) => tag.name);
+  await Lead.updateMany(
+    { _id: { $in: updates.map(({ lead }) => lead._id) } },
+    adding
+      ? { $addToSet: { tags: { $each: tagIds }, tagNames: { $each: tagNames } }, $set: { updatedAt } }
+      : { $pull: { tags: { $in: tagIds }, tagNames: { $in: tagNames } }, $set: { updatedAt } }
+  );
+
+  await finish(updates.map(({ lead, before, after }) => ({
+    lead: { ...lead, tags: after, updatedAt },
+    changes: [{
+      lead: lead._id,
+      type: 'tags_changed',
+      field: 'tags',
+      oldValue: before,
+      newValue: after,
+      createdBy: userId,
+    }],
+  })), userId);
+};
+
+// Each lead gets its own copy of the note, newest first like single notes
+const addNote = async (leads, { content }, userId) => {
+  if (leads.length === 0) return;
+
+  const createdAt = new Date();
+  const notes = new Map(leads.map((lead) => [
+    lead._id.toString(),
+    { _id: new mongoose.Types.ObjectId(), content, createdBy: userId, createdAt },
+  ]));
+
+  await Lead.bulkWrite(leads.map((lead) => ({
+    updateOne: {
+      filter: { _id: lead._id },
+      update: {
+        $push: { notes: { $each: [notes.get(lead._id.toString())], $position: 0 } },
+        $set: { updatedAt: createdAt },
+      },
+    },
+  })), { ordered: false });
+
+  await recordActivity(leads.map((lead) => ({
+    lead: lead._id,
+    type: 'note_added',
+    newValue: content,
+    createdBy: userId,
+  })));
+  leads.forEach((lead) => {
+    emitEvent('note.added', { lead: serializeLead(lead), note: notes.get(lead._id.toString()) }, userId);
+  });
+};
+
+// Deleted leads go to the trash like single deletes
+const deleteLeads = async (leads, body, userId) => {
+  await trashLeads(leads, userId);
+};
+
+const ACTIONS = {
+  set_status: setStatus,
+  assign,
+  add_tags: changeTags(true),
+  remove_tags: changeTags(false),
+  add_note: addNote,
+  delete: deleteLeads,
+};
+
+// Apply a bulk action to leads (plain objects, without notes) with a few queries
+// rather than one save per lead. Returns a map of lead id to error message for
+// the leads it could not change; every other lead succeeded.
+export const runBulkAction = async (leads, body, userId) => {
+  const failures = new Map();
+  await ACTIONS[body.action](leads, body, userId, failures);
+
+  // The updates skip the save hooks, so the changed leads are rescored here
+  if (body.action !== 'delete') {
+    const changed = leads.filter((lead) => !failures.has(lead._id.toString()));
+    if (changed.length > 0) await rescoreLeads({ _id: { $in: ids(changed) } });
+  }
+
+  return failures;
+};
@@ -0,0 +1,59 @@
+// Evaluate simple field conditions ({ field, operator, value }) against a lead
+
+// Every operator matchesCondition understands. gt, gte, lt and lte compare numbers.
+export const CONDITION_OPERATORS = ['equals', 'not_equals', 'contains', 'in', 'exists', 'gt', 'gte', 'lt', 'lte'];
+
+const compareNumbers = (operator, number, limit) => {
+  if (operator === 'gt') return number > limit;
+  if (operator === 'gte') return number >= limit;
+  if (operator === 'lt') return number < limit;
+  return number <= limit;
+};
+
+// Read a field as a list of comparable strings (ObjectIds and populated refs become ids)
+const fieldValues = (lead, field) => {
+  const value = field.split('.').reduce((current, key) => (current == null ? current : current[key]), lead);
+  const list = Array.isArray(value) ? value : [value];
+
+  return list
+    .filter((item) => item !== undefined && item !== null && item !== '')
+    .map((item) => (typeof item === 'object' && item._id ? item._id : item).toString().toLowerCase());
+};
+
+const asList = (value) => (Array.isArray(value) ? value : [value])
+  .filter((item) => item !== undefined && item !== null)
+  .map((item) => item.toString().toLowerCase());
+
+export const matchesCondition = (lead, { field, operator = 'equals', value }) => {
+  const values = fieldValues(lead, field);
+  const expected = asList(value);
+
+  switch (operator) {
+    case 'equals':
+      return expected.length > 0 && values.includes(expected[0]);
+    case 'not_equals':
+      return !values.includes(expected[0]);
+    case 'contains':
+      return expected.length > 0 && values.some((item) => item.includes(expected[0]));
+    case 'in':
+      return values.some((item) => expected.includes(item));
+    case 'exists':
+      return value === false ? values.length === 0 : values.length > 0;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const number = Number(values[0]);
+      const limit = Number(expected[0]);
+      if (values.length === 0 || Number.isNaN(number) || Number.isNaN(limit)) return false;
+      return compareNumbers(operator, number, limit);
+    }
+    default:
+      return false;
+  }
+};
+
+// True when every condition matches (an empty list always matches)
+export const matchesConditions = (lead, conditions = []) => {
+  return conditions.every((condition) => matchesCondition(lead, condition));
+};
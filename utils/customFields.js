@@ -0,0 +1,209 @@
+import CustomField from '../models/CustomField.js';
+import Lead from '../models/Lead.js';
+import AssignmentRule from '../models/AssignmentRule.js';
+import ScoringRule from '../models/ScoringRule.js';
+import AutomationRule from '../models/AutomationRule.js';
+import SavedView from '../models/SavedView.js';
+import { clearScoringRuleCache } from './scoring.js';
+
+// Import mappings and sort fields name a custom field as "cf.<key>"
+export const CUSTOM_FIELD_PREFIX = 'cf.';
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Field definitions in the order they are shown
+export const loadCustomFields = () => {
+  return CustomField.find().sort({ order: 1, label: 1 }).lean();
+};
+
+const isEmpty = (value) => {
+  return value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+};
+
+// Option of a select field matching the value, ignoring case
+const findOption = (field, value) => {
+  const text = String(value).trim().toLowerCase();
+  return field.options.find((option) => option.toLowerCase() === text);
+};
+
+// Convert a value to the field's type. Returns { value } or { error }.
+// Strings are accepted for every type so that spreadsheet cells and query values work.
+export const coerceCustomValue = (field, value) => {
+  switch (field.type) {
+    case 'text':
+      if (typeof value === 'object') return { error: 'Must be text' };
+      return { value: String(value).trim() };
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'Must be a number' };
+      return { value: number };
+    }
+
+    case 'date': {
+      const date = value instanceof Date || typeof value === 'string' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) return { error: 'Must be a date' };
+      return { value: date };
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: 'Must be true or false' };
+    }
+
+    case 'select': {
+      const option = typeof value === 'object' ? undefined : findOption(field, value);
+      if (!option) return { error: `Must be one of: ${field.options.join(', ')}` };
+      return { value: option };
+    }
+
+    case 'multi_select': {
+      // Lists can also be given as text separated by commas or semicolons
+      const list = Array.isArray(value) ? value : String(value).split(/[,;]/);
+      const items = list.map((item) => String(item).trim()).filter(Boolean);
+      const unknown = items.filter((item) => !findOption(field, item));
+      if (unknown.length > 0) return { error: `Unknown options: ${unknown.join(', ')}` };
+      return { value: [...new Set(items.map((item) => findOption(field, item)))] };
+    }
+
+    default:
+      return { error: 'Unknown field type' };
+  }
+};
+
+// Check custom field values against the definitions and convert them to their types.
+// values are applied over current, a lead's stored values; null or empty clears a field.
+// New leads (no current) need every required field, while an update only has to keep
+// the required fields it touches. Returns { values, errors } with errors as [{ key, message }].
+export const applyCustomFields = (fields, values = {}, current) => {
+  const byKey = new Map(fields.map((field) => [field.key, field]));
+  const result = { ...(current || {}) };
+  const errors = [];
+
+  Object.entries(values).forEach(([key, value]) => {
+    const field = byKey.get(key);
+    if (!field) {
+      errors.push({ key, message: 'Unknown custom field' });
+      return;
+    }
+
+    if (isEmpty(value)) {
+      delete result[key];
+      return;
+    }
+
+    const coerced = coerceCustomValue(field, value);
+    if (coerced.error) {
+      errors.push({ key, message: coerced.error });
+    } else {
+      result[key] = coerced.value;
+    }
+  });
+
+  fields.forEach((field) => {
+    const checked = !current || Object.prototype.hasOwnProperty.call(values, field.key);
+    if (field.required && checked && isEmpty(result[field.key]) && !errors.some((error) => error.key === field.key)) {
+      errors.push({ key: field.key, message: `${field.label} is required` });
+    }
+  });
+
+  return { values: result, errors };
+};
+
+// Errors from applyCustomFields in the shape used by sendValidationErrors
+export const customFieldErrors = (errors) => {
+  return errors.map(({ key, message }) => ({
+    location: 'body',
+    field: `customFields.${key}`,
+    message,
+  }));
+};
+
+// A stored value as text, for exports
+export const formatCustomValue = (field, value) => {
+  if (isEmpty(value)) return '';
+  if (field.type === 'date') return new Date(value).toISOString().slice(0, 10);
+  if (field.type === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join(', ');
+  return value;
+};
+
+// Take a deleted custom field off every lead and out of the rules and saved views using it.
+// Conditions on the field are dropped; a rule whose condition could no longer hold, or
+// that is left with no trigger or actions, is kept but turned off for an admin to fix.
+export const removeCustomField = async (key) => {
+  const path = `${CUSTOM_FIELD_PREFIX}${key}`;
+
+  await Lead.updateMany(
+    { [`customFields.${key}`]: { $exists: true } },
+    { $unset: { [`customFields.${key}`]: '' } }
+  );
+
+  const rules = [
+    ...await AssignmentRule.find({ 'conditions.field': path }),
+    ...await ScoringRule.find({ 'conditions.field': path }),
+    ...await AutomationRule.find({
+      $or: [{ 'conditions.field': path }, { 'trigger.field': path }, { 'actions.field': path }],
+    }),
+  ];
+
+  for (const rule of rules) {
+    rule.conditions = rule.conditions.filter((condition) => {
+      if (condition.field !== path) return true;
+      // A missing value still passes not_equals and exists: false
+      const stillHolds = condition.operator === 'not_equals'
+        || (condition.operator === 'exists' && condition.value === false);
+      if (!stillHolds) rule.isActive = false;
+      return false;
+    });
+
+    if (rule.trigger && rule.trigger.field === path) rule.isActive = false;
+    if (rule.actions && rule.actions.some((action) => action.field === path)) {
+      rule.actions = rule.actions.filter((action) => action.field !== path);
+      if (rule.actions.length === 0) rule.isActive = false;
+    }
+
+    await rule.save({ validateBeforeSave: rule.isActive });
+  }
+  clearScoringRuleCache();
+
+  // where filters nest conditions { field, op, value } in { and } and { or } groups.
+  // Returns the filter without conditions on the field, or null when nothing is left.
+  const pruneWhere = (filter) => {
+    if (filter.field !== undefined) return filter.field === path ? null : filter;
+    const group = filter.and ? 'and' : 'or';
+    const kept = filter[group].map(pruneWhere).filter(Boolean);
+    return kept.length > 0 ? { [group]: kept } : null;
+  };
+
+  const views = await SavedView.find({
+    $or: [
+      { [`filters.cf.${key}`]: { $exists: true } },
+      { 'filters.where': { $exists: true } },
+      { sort: { $in: [path, `-${path}`] } },
+    ],
+  });
+
+  for (const view of views) {
+    const filters = { ...view.filters };
+    if (filters.cf) {
+      filters.cf = { ...filters.cf };
+      delete filters.cf[key];
+    }
+    if (filters.where) {
+      const where = pruneWhere(filters.where);
+      if (where) filters.where = where;
+      else delete filters.where;
+    }
+
+    view.filters = filters;
+    view.sort = view.sort.filter((field) => field.replace(/^-/, '') !== path);
+    view.markModified('filters');
+    await view.save();
+  }
+};
@@ -0,0 +1,64 @@
+import Lead from '../models/Lead.js';
+import { duplicateKeys, nameSimilarity } from './normalize.js';
+
+// Names at least this similar (0 to 1) count as a fuzzy match
+const NAME_SIMILARITY = parseFloat(process.env.DUPLICATE_NAME_SIMILARITY || '0.85');
+
+// Find existing leads that are likely the same person as the given details.
+// Returns each match with the reasons it matched (email, phone or name).
+export const findDuplicates = async (details, { fuzzyName = false, excludeIds = [] } = {}) => {
+  const keys = duplicateKeys(details);
+
+  const clauses = [];
+  if (keys.emailKey) clauses.push({ emailKey: keys.emailKey });
+  if (keys.phoneKey) clauses.push({ phoneKey: keys.phoneKey });
+
+  // Fuzzy matching only compares names that share the first two characters
+  if (fuzzyName && keys.nameKey && keys.nameKey.length >= 2) {
+    const prefix = keys.nameKey.slice(0, 2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    clauses.push({ nameKey: { $regex: `^${prefix}` } });
+  }
+
+  if (clauses.length === 0) return [];
+
+  const candidates = await Lead.find({ $or: clauses, _id: { $nin: excludeIds } })
+    .select('name email phone status assignedTo emailKey phoneKey nameKey')
+    .populate('assignedTo', 'name email')
+    .limit(200);
+
+  return candidates
+    .map((lead) => {
+      const reasons = [];
+      if (keys.emailKey && lead.emailKey === keys.emailKey) reasons.push('email');
+      if (keys.phoneKey && lead.phoneKey === keys.phoneKey) reasons.push('phone');
+      if (fuzzyName && nameSimilarity(keys.nameKey, lead.nameKey) >= NAME_SIMILARITY) reasons.push('name');
+
+      return {
+        lead: {
+          _id: lead._id,
+          name: lead.name,
+          email: lead.email,
+          phone: lead.phone,
+          status: lead.status,
+          assignedTo: lead.assignedTo,
+        },
+        reasons,
+      };
+    })
+    .filter((match) => match.reasons.length > 0);
+};
+
+// Fill in match keys for leads saved before duplicate detection existed
+export const backfillDuplicateKeys = async () => {
+  const cursor = Lead.find({ emailKey: { $exists: false } }).select('name email phone').cursor();
+
+  let count = 0;
+  for (let lead = await cursor.next(); lead; lead = await cursor.next()) {
+    await Lead.updateOne({ _id: lead._id }, { $set: duplicateKeys(lead) });
+    count++;
+  }
+
+  if (count > 0) {
+    console.log(`Added duplicate match keys to ${count} leads`);
+  }
+};
@@ -0,0 +1,51 @@
+import { formatCustomValue, CUSTOM_FIELD_PREFIX } from './customFields.js';
+
+// {{ name }} placeholders, with optional spaces inside the braces
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Placeholders templates can use, besides lead custom fields ({{lead.cf.<key>}})
+export const TEMPLATE_PLACEHOLDERS = [
+  'lead.name', 'lead.firstName', 'lead.email', 'lead.phone', 'lead.source', 'lead.status',
+  'agent.name', 'agent.email',
+];
+
+const CUSTOM_PREFIX = `lead.${CUSTOM_FIELD_PREFIX}`;
+
+// Placeholders in the text that are neither listed above nor an existing custom field
+export const unknownPlaceholders = (text, customFields) => {
+  const keys = new Set(customFields.map((field) => field.key));
+  const names = [...text.matchAll(PLACEHOLDER)].map((match) => match[1]);
+
+  return [...new Set(names)].filter((name) => {
+    if (TEMPLATE_PLACEHOLDERS.includes(name)) return false;
+    return !(name.startsWith(CUSTOM_PREFIX) && keys.has(name.slice(CUSTOM_PREFIX.length)));
+  });
+};
+
+// Values for the placeholders: the lead, and the agent sending the email
+export const templateValues = (lead, agent, customFields) => {
+  const values = {
+    'lead.name': lead.name,
+    'lead.firstName': (lead.name || '').trim().split(/\s+/)[0],
+    'lead.email': lead.email,
+    'lead.phone': lead.phone,
+    'lead.source': lead.source,
+    'lead.status': lead.status,
+    'agent.name': agent.name,
+    'agent.email': agent.email,
+  };
+
+  customFields.forEach((field) => {
+    values[`${CUSTOM_PREFIX}${field.key}`] = formatCustomValue(field, (lead.customFields || {})[field.key]);
+  });
+
+  return values;
+};
+
+// Fill in the placeholders. Ones without a value are left empty.
+export const renderTemplate = (text, values) => {
+  return text.replace(PLACEHOLDER, (match, name) => {
+    const value = values[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
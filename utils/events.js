@@ -0,0 +1,77 @@
+import { EventEmitter } from 'events';
+
+// Lead lifecycle events other parts of the app (such as webhooks) can subscribe to
+// Only sent by call_webhook automation actions, to the webhook the action names
+export const AUTOMATION_WEBHOOK_EVENT = 'automation.triggered';
+
+export const EVENT_TYPES = [
+  'lead.created',
+  'lead.updated',
+  'lead.status_changed',
+  'lead.assigned',
+  'lead.deleted',
+  'lead.restored',
+  'note.added',
+  'email.sent',
+  AUTOMATION_WEBHOOK_EVENT,
+];
+
+const emitter = new EventEmitter();
+
+// Plain copy of a lead for event payloads
+export const serializeLead = (lead) => {
+  const data = typeof lead.toObject === 'function' ? lead.toObject({ depopulate: true }) : { ...lead };
+  delete data.emailKey;
+  delete data.phoneKey;
+  delete data.nameKey;
+  delete data.tagNames;
+  delete data.nameWords;
+  delete data.__v;
+  return data;
+};
+
+// Publish an event. Listeners run asynchronously and never affect the caller.
+// Events caused by automation rules carry automation: { depth, rules } so that
+// rules cannot keep triggering each other (see utils/automation.js).
+export const emitEvent = (type, data, actorId = null, automation = null) => {
+  setImmediate(() => {
+    emitter.emit('event', {
+      type,
+      data,
+      actor: actorId ? actorId.toString() : null,
+      occurredAt: new Date().toISOString(),
+      automation,
+    });
+  });
+};
+
+export const onEvent = (listener) => {
+  emitter.on('event', async (event) => {
+    try {
+      await listener(event);
+    } catch (error) {
+      console.error(`Error handling ${event.type} event:`, error);
+    }
+  });
+};
+
+// Emit the events for a saved lead change, given its timeline entries from diffLead()
+export const emitLeadChanges = (lead, changes, actorId, automation = null) => {
+  if (changes.length === 0) return;
+
+  const data = {
+    lead: serializeLead(lead),
+    changes: changes.map(({ field, oldValue, newValue }) => ({ field, oldValue, newValue })),
+  };
+
+  emitEvent('lead.updated', data, actorId, automation);
+
+  changes.forEach((change) => {
+    if (change.field === 'status') {
+      emitEvent('lead.status_changed', { lead: data.lead, from: change.oldValue, to: change.newValue }, actorId, automation);
+    }
+    if (change.field === 'assignedTo') {
+      emitEvent('lead.assigned', { lead: data.lead, from: change.oldValue, to: change.newValue }, actorId, automation);
+    }
+  });
+};
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import Team from '../models/Team.js';
+import { hasPermission } from './permissions.js';
+
+// Who can see which leads. leads.read.all sees every lead, leads.read.own the
+// leads assigned to the user or to members of teams they manage, and without
+// either the user sees none.
+
+// Id of a ref that may or may not be populated
+const refId = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Whether the user sees every lead rather than only their own and their team's
+export const canSeeAllLeads = (user) => hasPermission(user, 'leads.read.all');
+
+// Ids of the members of every team the user manages, not including the user.
+// Remembered on the user object, which lives for one request.
+export const managedUserIds = async (user) => {
+  if (!user.managedUserIds) {
+    const teams = await Team.find({ managers: user.id }).select('members').lean();
+    const ids = new Set(teams.flatMap((team) => team.members.map((member) => member.toString())));
+    ids.delete(user.id);
+    user.managedUserIds = [...ids];
+  }
+  return user.managedUserIds;
+};
+
+// Ids of the users whose leads the user may see, or null for every lead
+const visibleOwnerIds = async (user) => {
+  if (canSeeAllLeads(user)) return null;
+  if (!hasPermission(user, 'leads.read.own')) return [];
+  return [user.id, ...(await managedUserIds(user))];
+};
+
+// Filter that limits a lead query to the leads the user may see.
+// Ids are cast so the filter also works in aggregation pipelines.
+export const leadScopeFilter = async (user) => {
+  const owners = await visibleOwnerIds(user);
+  if (!owners) return {};
+  if (owners.length === 0) return { _id: null };
+  if (owners.length === 1) return { assignedTo: new mongoose.Types.ObjectId(owners[0]) };
+  return { assignedTo: { $in: owners.map((id) => new mongoose.Types.ObjectId(id)) } };
+};
+
+// Add the user's scope to a lead filter without replacing its own assignedTo condition
+export const scopeLeadFilter = async (filter, user) => {
+  const scope = await leadScopeFilter(user);
+  if (Object.keys(scope).length === 0) return filter;
+  return { ...filter, $and: [...(filter.$and || []), scope] };
+};
+
+// Whether the user may see and work on a lead
+export const canAccessLead = async (user, lead) => {
+  const owners = await visibleOwnerIds(user);
+  return !owners || owners.includes(refId(lead.assignedTo));
+};
+
+// Whether the user may assign leads to anyone
+export const canReassignLeads = (user) => hasPermission(user, 'leads.assign');
+
+// Whether the user may assign a lead or task to this user. Without leads.assign,
+// team managers can assign to themselves and their members.
+export const canAssignTo = async (user, assigneeId) => {
+  if (canReassignLeads(user)) return true;
+  const managed = await managedUserIds(user);
+  return managed.length > 0 && (assigneeId === user.id || managed.includes(assigneeId));
+};
+
+// Filter for the leads assigned to members of a team
+export const teamLeadFilter = async (teamId) => {
+  const team = await Team.findById(teamId).select('members').lean();
+  return { assignedTo: { $in: team ? team.members : [] } };
+};
@@ -0,0 +1,88 @@
+import EmailLog from '../models/EmailLog.js';
+import Pipeline from '../models/Pipeline.js';
+import { sendMail } from './mailer.js';
+import { loadCustomFields } from './customFields.js';
+import { templateValues, renderTemplate } from './emailTemplates.js';
+import { snapshotLead, diffLead, recordActivity } from './activity.js';
+import { emitEvent, emitLeadChanges, serializeLead } from './events.js';
+
+// The first email sent to a lead in this stage moves it to the next one, when the
+// sender asks for it and the lead's pipeline has that stage
+const FIRST_EMAIL_FROM_STAGE = process.env.FIRST_EMAIL_FROM_STAGE || 'New';
+const FIRST_EMAIL_TO_STAGE = process.env.FIRST_EMAIL_TO_STAGE || 'Contacted';
+
+// Subject and body of an email to a lead, from a template or given directly
+export const renderLeadEmail = async (lead, agent, { subject, body }) => {
+  const values = templateValues(lead, agent, await loadCustomFields());
+  return {
+    subject: renderTemplate(subject, values),
+    body: renderTemplate(body, values),
+  };
+};
+
+// Move a lead that just got its first email on to the contacted stage.
+// Returns the status change, or null when the lead stays where it is.
+const advanceAfterFirstEmail = async (lead, userId) => {
+  if (lead.status !== FIRST_EMAIL_FROM_STAGE) return null;
+  if (await EmailLog.countDocuments({ lead: lead._id, status: 'sent' }) !== 1) return null;
+
+  const pipeline = await Pipeline.findById(lead.pipeline);
+  if (!pipeline || !pipeline.getStage(FIRST_EMAIL_TO_STAGE)) return null;
+
+  const before = snapshotLead(lead);
+  lead.status = FIRST_EMAIL_TO_STAGE;
+  await lead.save();
+
+  const changes = diffLead(before, lead, userId);
+  await recordActivity(changes);
+  emitLeadChanges(lead, changes, userId);
+
+  return { from: FIRST_EMAIL_FROM_STAGE, to: FIRST_EMAIL_TO_STAGE };
+};
+
+// Send an email to a lead (a document) as the agent, log it and put it on the lead's
+// timeline. Failed sends are logged too. Returns { email, statusChange }.
+export const sendLeadEmail = async (lead, agent, { template, subject, body, advanceStatus }) => {
+  const rendered = await renderLeadEmail(lead, agent, template || { subject, body });
+
+  const email = new EmailLog({
+    lead: lead._id,
+    template: template ? template._id : null,
+    to: lead.email,
+    replyTo: agent.email,
+    subject: rendered.subject,
+    body: rendered.body,
+    sentBy: agent._id,
+  });
+
+  try {
+    const result = await sendMail({
+      to: lead.email,
+      replyTo: agent.email,
+      subject: rendered.subject,
+      text: rendered.body,
+    });
+    email.status = 'sent';
+    email.transport = result.transport;
+    email.messageId = result.messageId;
+  } catch (error) {
+    console.error('Error sending lead email:', error);
+    email.status = 'failed';
+    email.error = error.message;
+  }
+
+  await email.save();
+  if (email.status === 'failed') return { email, statusChange: null };
+
+  await recordActivity({
+    lead: lead._id,
+    type: 'email_sent',
+    newValue: email.subject,
+    meta: { email: email._id, to: email.to, template: email.template },
+    createdBy: agent._id,
+  });
+  emitEvent('email.sent', { lead: serializeLead(lead), email: email.toObject() }, agent._id);
+
+  const statusChange = advanceStatus ? await advanceAfterFirstEmail(lead, agent._id) : null;
+  return { email, statusChange };
+};
@@ -0,0 +1,131 @@
+import { once } from 'events';
+import xlsx from 'xlsx';
+import { formatCustomValue, CUSTOM_FIELD_PREFIX } from './customFields.js';
+
+// XLSX files are built in memory, so they are limited to this many leads; CSV and
+// NDJSON are streamed and have no limit
+export const XLSX_MAX_ROWS = parseInt(process.env.EXPORT_XLSX_MAX_ROWS || '50000');
+
+const iso = (date) => (date ? new Date(date).toISOString() : null);
+
+// Export columns by name (see EXPORT_COLUMNS in validation/leads.js). value gives the
+// JSON value for NDJSON, and text turns it into a cell for CSV and XLSX.
+const LEAD_COLUMNS = {
+  id: { header: 'ID', value: (lead) => lead._id.toString() },
+  name: { header: 'Name', value: (lead) => lead.name },
+  email: { header: 'Email', value: (lead) => lead.email },
+  phone: { header: 'Phone', value: (lead) => lead.phone || '' },
+  pipeline: { header: 'Pipeline', value: (lead) => (lead.pipeline ? lead.pipeline.name : '') },
+  status: { header: 'Status', value: (lead) => lead.status },
+  source: { header: 'Source', value: (lead) => lead.source },
+  tags: {
+    header: 'Tags',
+    value: (lead) => lead.tags.map((tag) => tag.name),
+    text: (names) => names.join(', '),
+  },
+  assignedTo: { header: 'Assigned To', value: (lead) => (lead.assignedTo ? lead.assignedTo.name : null) },
+  assignedToEmail: { header: 'Assigned To Email', value: (lead) => (lead.assignedTo ? lead.assignedTo.email : null) },
+  notes: {
+    header: 'Notes',
+    value: (lead) => lead.notes.map((note) => ({ content: note.content, createdAt: iso(note.createdAt) })),
+    text: (notes) => notes.map((note) => `[${note.createdAt}] ${note.content}`).join('\n'),
+  },
+  score: { header: 'Score', value: (lead) => lead.score || 0 },
+  createdAt: { header: 'Created At', value: (lead) => iso(lead.createdAt) },
+  updatedAt: { header: 'Updated At', value: (lead) => iso(lead.updatedAt) },
+};
+
+// Columns exported when none are chosen; every custom field follows them
+export const DEFAULT_EXPORT_COLUMNS = [
+  'name', 'email', 'phone', 'pipeline', 'status', 'source', 'tags', 'assignedTo', 'createdAt',
+];
+
+// Column definitions for the chosen names, with custom fields given as cf.<key>
+export const exportColumns = (names, customFields) => {
+  const chosen = names && names.length > 0
+    ? names
+    : [...DEFAULT_EXPORT_COLUMNS, ...customFields.map((field) => `${CUSTOM_FIELD_PREFIX}${field.key}`)];
+
+  return chosen.map((name) => {
+    if (!name.startsWith(CUSTOM_FIELD_PREFIX)) return { name, ...LEAD_COLUMNS[name] };
+
+    const field = customFields.find((item) => item.key === name.slice(CUSTOM_FIELD_PREFIX.length));
+    return {
+      name,
+      header: field.label,
+      value: (lead) => {
+        const value = lead.customFields && lead.customFields[field.key];
+        if (value === undefined || value === null) return null;
+        return field.type === 'date' ? iso(value) : value;
+      },
+      text: (value) => formatCustomValue(field, value),
+    };
+  });
+};
+
+const cellText = (column, value) => {
+  if (value === null || value === undefined) return '';
+  return column.text ? column.text(value) : value;
+};
+
+// Quote a CSV cell when needed. Text starting with a formula character is prefixed
+// with ' so spreadsheets do not run it.
+const csvCell = (value) => {
+  let text = String(value);
+  if (/^[=@\t\r]/.test(text) || /^[+-][^\d]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+// Content type and file extension of each format
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Write leads from a query cursor to the response in the format. CSV and NDJSON are
+// written row by row, waiting for the client to keep up; XLSX is sent once complete.
+// Stops early if the client goes away.
+export const writeExport = async (res, cursor, columns, format) => {
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  };
+
+  const rows = [];
+  if (format === 'csv') {
+    // Byte order mark so that spreadsheet programs read the file as UTF-8
+    await write(`\uFEFF${csvLine(columns.map((column) => column.header))}`);
+  }
+
+  try {
+    for (let lead = await cursor.next(); lead; lead = await cursor.next()) {
+      if (res.destroyed) break;
+
+      const values = columns.map((column) => column.value(lead));
+
+      if (format === 'ndjson') {
+        const record = Object.fromEntries(columns.map((column, index) => [column.name, values[index]]));
+        await write(`${JSON.stringify(record)}\n`);
+      } else if (format === 'csv') {
+        await write(csvLine(columns.map((column, index) => cellText(column, values[index]))));
+      } else {
+        rows.push(columns.map((column, index) => cellText(column, values[index])));
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (res.destroyed) return;
+
+  if (format === 'xlsx') {
+    const worksheet = xlsx.utils.aoa_to_sheet([columns.map((column) => column.header), ...rows]);
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Leads');
+    res.write(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+  }
+
+  res.end();
+};
@@ -0,0 +1,178 @@
+import { buildStageFilter } from './pipelines.js';
+import { scopeLeadFilter, teamLeadFilter } from './leadAccess.js';
+import { loadCustomFields, coerceCustomValue, CUSTOM_FIELD_PREFIX } from './customFields.js';
+import { compileLeadQuery, usesCustomFields, filterError, escapeRegex } from './leadQuery.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query conditions for the cf filter, an object of custom field key to criteria:
+// - a value, or a comma-separated list for select fields (text fields match part of the value,
+//   and a date matches that whole day)
+// - { gte, lte } for a range of a number or date field
+// - { exists: true|false } for leads with or without a value
+const customFieldConditions = (cf, fields) => {
+  const byKey = new Map(fields.map((field) => [field.key, field]));
+  const conditions = [];
+  const errors = [];
+
+  Object.entries(cf).forEach(([key, criteria]) => {
+    const field = byKey.get(key);
+    const path = `customFields.${key}`;
+    const fail = (message) => errors.push({ location: 'query', field: `cf.${key}`, message });
+
+    if (!field) return fail('Unknown custom field');
+
+    const coerce = (value) => {
+      const result = coerceCustomValue(field, value);
+      if (result.error) fail(result.error);
+      return result.value;
+    };
+
+    if (typeof criteria === 'object' && !Array.isArray(criteria)) {
+      const { gte, lte, exists } = criteria;
+
+      if (exists !== undefined) conditions.push({ [path]: { $exists: exists } });
+
+      if (gte !== undefined || lte !== undefined) {
+        if (field.type !== 'number' && field.type !== 'date') {
+          return fail('Ranges only apply to number and date fields');
+        }
+        const range = {};
+        if (gte !== undefined) range.$gte = coerce(gte);
+        if (lte !== undefined) {
+          const last = coerce(lte);
+          // A date range includes the whole of its last day
+          if (field.type === 'date' && last) range.$lt = new Date(last.getTime() + DAY_MS);
+          if (field.type === 'number') range.$lte = last;
+        }
+        conditions.push({ [path]: range });
+      }
+      return;
+    }
+
+    const values = Array.isArray(criteria) ? criteria : [criteria];
+
+    if (field.type === 'text') {
+      conditions.push({ $or: values.map((value) => ({ [path]: { $regex: escapeRegex(value), $options: 'i' } })) });
+      return;
+    }
+
+    if (field.type === 'date') {
+      const days = values.map((value) => coerce(value)).filter(Boolean);
+      conditions.push({ $or: days.map((day) => ({ [path]: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) } })) });
+      return;
+    }
+
+    const list = field.type === 'select' || field.type === 'multi_select'
+      ? values.flatMap((value) => value.split(','))
+      : values;
+    // multi_select values are arrays, so $in matches leads with any of the options
+    const matches = list.map((value) => coerce(value)).flat();
+    conditions.push({ [path]: { $in: matches } });
+  });
+
+  if (errors.length > 0) throw filterError(errors);
+  return conditions;
+};
+
+// Build the lead query for the filters accepted by GET /api/leads (see leadFilters
+// in validation/leads.js), limited to the leads the user can see. Every filter given
+// must match, including the where filter (see utils/leadQuery.js).
+// Errors in custom field or where filters are thrown as a FilterError.
+export const buildLeadFilter = async (query, user) => {
+  const {
+    pipeline, status, stageType, tags, dateFrom, dateTo, scoreMin, scoreMax, assignedTo, team, source, search, cf, where,
+  } = query;
+
+  // Pipeline, stage and stage type filters
+  const filter = await buildStageFilter({ pipeline, status, stageType });
+
+  if (assignedTo) filter.assignedTo = assignedTo;
+  if (team) filter.$and = [...(filter.$and || []), await teamLeadFilter(team)];
+  if (source) filter.source = source;
+
+  // Date range filter
+  if (dateFrom || dateTo) {
+    filter.createdAt = {};
+    if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) {
+      const toDate = new Date(dateTo);
+      toDate.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  // Score range filter
+  if (scoreMin !== undefined || scoreMax !== undefined) {
+    filter.score = {};
+    if (scoreMin !== undefined) filter.score.$gte = Number(scoreMin);
+    if (scoreMax !== undefined) filter.score.$lte = Number(scoreMax);
+  }
+
+  // Tag filter
+  if (tags) {
+    const tagArray = Array.isArray(tags) ? tags : tags.split(',');
+    filter.tags = { $in: tagArray };
+  }
+
+  // Custom field filters
+  const customFields = (cf && Object.keys(cf).length > 0) || (where && usesCustomFields(where))
+    ? await loadCustomFields()
+    : [];
+
+  if (cf && Object.keys(cf).length > 0) {
+    filter.$and = [...(filter.$and || []), ...customFieldConditions(cf, customFields)];
+  }
+
+  // Filter language with and/or groups
+  if (where) {
+    filter.$and = [...(filter.$and || []), compileLeadQuery(where, customFields)];
+  }
+
+  // Search filter, matching part of the name, email or phone.
+  // GET /api/leads/search offers ranked, indexed search instead.
+  if (search) {
+    const pattern = escapeRegex(search);
+    filter.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } },
+      { phone: { $regex: pattern, $options: 'i' } },
+    ];
+  }
+
+  // Only the leads the user can see: their own, their team's or all
+  return scopeLeadFilter(filter, user);
+};
+
+// Build the sort for the sort parameter, a list of fields (see SORT_FIELDS in
+// validation/leads.js) or "cf.<key>", each prefixed with "-" for descending order
+export const buildLeadSort = async (sort) => {
+  if (!sort || sort.length === 0) return { createdAt: -1 };
+
+  const customKeys = sort
+    .map((item) => item.replace(/^-/, ''))
+    .filter((field) => field.startsWith(CUSTOM_FIELD_PREFIX))
+    .map((field) => field.slice(CUSTOM_FIELD_PREFIX.length));
+
+  if (customKeys.length > 0) {
+    const known = new Set((await loadCustomFields()).map((field) => field.key));
+    const unknown = customKeys.filter((key) => !known.has(key));
+    if (unknown.length > 0) {
+      throw filterError(unknown.map((key) => ({ location: 'query', field: 'sort', message: `Unknown custom field ${key}` })));
+    }
+  }
+
+  const order = {};
+  sort.forEach((item) => {
+    const descending = item.startsWith('-');
+    const field = descending ? item.slice(1) : item;
+    const path = field.startsWith(CUSTOM_FIELD_PREFIX)
+      ? `customFields.${field.slice(CUSTOM_FIELD_PREFIX.length)}`
+      : field;
+    order[path] = descending ? -1 : 1;
+  });
+
+  // Keep pages stable when sorted values are equal
+  if (!order._id) order._id = -1;
+  return order;
+};
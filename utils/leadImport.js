@@ -0,0 +1,236 @@
+import xlsx from 'xlsx';
+import Lead from '../models/Lead.js';
+import Tag from '../models/Tag.js';
+import User from '../models/User.js';
+import { importRow, IMPORT_FIELDS } from '../validation/leads.js';
+import { recordActivity } from './activity.js';
+import { autoAssign, loadActiveRules, assignmentActivity } from './assignment.js';
+import { findDuplicates } from './duplicates.js';
+import { duplicateKeys } from './normalize.js';
+import { emitEvent, serializeLead } from './events.js';
+import { loadCustomFields, applyCustomFields, CUSTOM_FIELD_PREFIX } from './customFields.js';
+
+// Leads are written with one insert per batch
+const BATCH_SIZE = 500;
+
+// Common spreadsheet headers for each lead field, compared without case, spaces or punctuation
+const HEADER_ALIASES = {
+  name: ['name', 'fullname', 'contactname', 'leadname', 'customername'],
+  email: ['email', 'emailaddress', 'mail', 'emailid'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'telephone', 'tel', 'cell', 'contactnumber'],
+  source: ['source', 'leadsource', 'channel'],
+  status: ['status', 'stage', 'leadstatus'],
+  tags: ['tags', 'tag', 'labels', 'label'],
+  assignee: ['assignee', 'assignedto', 'owner', 'agent', 'assigneeemail', 'owneremail', 'agentemail'],
+  note: ['note', 'notes', 'comment', 'comments', 'message'],
+};
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Read the first sheet of an Excel or CSV file. Date cells are read as Dates.
+export const readSheet = (buffer) => {
+  const workbook = xlsx.read(buffer, { type: 'buffer', cellDates: true });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const [headers = []] = xlsx.utils.sheet_to_json(worksheet, { header: 1, blankrows: false });
+  const rows = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+
+  return {
+    headers: headers.map((header) => String(header)),
+    rows,
+  };
+};
+
+// Guess which lead field each header holds. Headers matching a custom field's
+// key or label map to that field as cf.<key>.
+export const suggestMapping = (headers, customFields = []) => {
+  const mapping = {};
+  const used = new Set();
+
+  headers.forEach((header) => {
+    const key = headerKey(header);
+    const field = IMPORT_FIELDS.find((item) => !used.has(item) && HEADER_ALIASES[item].includes(key));
+    const customField = !field && customFields.find((item) => (
+      !used.has(`${CUSTOM_FIELD_PREFIX}${item.key}`) && [headerKey(item.key), headerKey(item.label)].includes(key)
+    ));
+    const target = field || (customField ? `${CUSTOM_FIELD_PREFIX}${customField.key}` : 'ignore');
+    mapping[header] = target;
+    if (target !== 'ignore') used.add(target);
+  });
+
+  return mapping;
+};
+
+// Turn a spreadsheet row into lead fields using the mapping, skipping empty cells.
+// Custom field values are collected in customFields by key.
+const mapRow = (raw, mapping) => {
+  const item = { customFields: {} };
+  Object.entries(mapping).forEach(([header, field]) => {
+    const value = raw[header];
+    if (field === 'ignore' || value === undefined || value === null || value === '') return;
+    if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+      item.customFields[field.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+    } else {
+      item[field] = value;
+    }
+  });
+  return item;
+};
+
+const issuesMessage = (error) => {
+  return error.issues.map((issue) => `${issue.path.join('.')}: ${issue.message}`).join('; ');
+};
+
+// Import mapped spreadsheet rows as leads.
+// Invalid rows and likely duplicates are reported, not imported. With dryRun the
+// rows are only validated. onProgress(processedRows) is called as rows are handled.
+export const runImport = async ({ rows, mapping, dryRun = false, fuzzyName = false, userId, onProgress }) => {
+  const summary = {
+    dryRun,
+    totalRows: rows.length,
+    valid: 0,
+    imported: 0,
+    duplicates: [],
+    errors: [],
+  };
+
+  const tags = await Tag.find().select('name');
+  const tagsByName = new Map(tags.map((tag) => [tag.name.toLowerCase(), tag._id]));
+  const users = await User.find({ isActive: true }).select('email');
+  const usersByEmail = new Map(users.map((user) => [user.email, user._id]));
+  const customFields = await loadCustomFields();
+
+  const assignmentRules = dryRun ? [] : await loadActiveRules();
+  const pendingLoad = new Map();
+
+  // Rows already seen in this file, by email and phone match key
+  const seenInFile = new Map();
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const pending = batch;
+    batch = [];
+
+    // Rows were validated already, so insert them as plain documents
+    const failed = new Map();
+    try {
+      await Lead.insertMany(pending.map(({ lead }) => lead.toObject()), { ordered: false, lean: true });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      error.writeErrors.forEach((writeError) => failed.set(writeError.index, writeError.errmsg));
+    }
+
+    const activities = [];
+    pending.forEach(({ lead, assignment, row }, index) => {
+      if (failed.has(index)) {
+        summary.errors.push({ row, message: failed.get(index) });
+        return;
+      }
+
+      summary.imported++;
+      activities.push({ lead: lead._id, type: 'imported', createdBy: userId });
+      if (assignment) activities.push(assignmentActivity(lead, assignment, userId));
+
+      emitEvent('lead.created', { lead: serializeLead(lead), imported: true }, userId);
+      if (lead.assignedTo) {
+        emitEvent('lead.assigned', { lead: serializeLead(lead), from: null, to: lead.assignedTo.toString() }, userId);
+      }
+    });
+
+    await recordActivity(activities);
+  };
+
+  for (let i = 0; i < rows.length; i++) {
+    // Spreadsheet row number, after the header row
+    const row = i + 2;
+
+    if (onProgress && i > 0 && i % 100 === 0) await onProgress(i);
+
+    const mapped = mapRow(rows[i], mapping);
+    const result = importRow.safeParse(mapped);
+    if (!result.success) {
+      summary.errors.push({ row, message: issuesMessage(result.error) });
+      continue;
+    }
+    const item = result.data;
+
+    const custom = applyCustomFields(customFields, mapped.customFields);
+    if (custom.errors.length > 0) {
+      summary.errors.push({ row, message: custom.errors.map((error) => `${CUSTOM_FIELD_PREFIX}${error.key}: ${error.message}`).join('; ') });
+      continue;
+    }
+
+    const unknownTags = (item.tags || []).filter((name) => !tagsByName.has(name.toLowerCase()));
+    if (unknownTags.length > 0) {
+      summary.errors.push({ row, message: `Unknown tags: ${unknownTags.join(', ')}` });
+      continue;
+    }
+
+    if (item.assignee && !usersByEmail.has(item.assignee)) {
+      summary.errors.push({ row, message: `No active user with email ${item.assignee}` });
+      continue;
+    }
+
+    // Report duplicates, within the file or against existing leads, instead of importing them
+    const keys = duplicateKeys(item);
+    const earlierRow = seenInFile.get(keys.emailKey) || (keys.phoneKey && seenInFile.get(keys.phoneKey));
+    if (earlierRow) {
+      summary.duplicates.push({ row, name: item.name, email: item.email, duplicateOfRow: earlierRow });
+      continue;
+    }
+    seenInFile.set(keys.emailKey, row);
+    if (keys.phoneKey) seenInFile.set(keys.phoneKey, row);
+
+    const matches = await findDuplicates(item, { fuzzyName });
+    if (matches.length > 0) {
+      summary.duplicates.push({ row, name: item.name, email: item.email, matches });
+      continue;
+    }
+
+    const lead = new Lead({
+      name: item.name,
+      email: item.email,
+      phone: item.phone || '',
+      source: item.source || 'Import',
+      status: item.status || undefined,
+      tags: (item.tags || []).map((name) => tagsByName.get(name.toLowerCase())),
+      assignedTo: item.assignee ? usersByEmail.get(item.assignee) : null,
+      notes: item.note ? [{ content: item.note, createdBy: userId, createdAt: new Date() }] : [],
+      customFields: custom.values,
+      createdBy: userId,
+      ...keys,
+    });
+
+    // Checks the pipeline and status
+    try {
+      await lead.validate();
+    } catch (error) {
+      summary.errors.push({ row, message: error.message });
+      continue;
+    }
+
+    summary.valid++;
+    if (dryRun) continue;
+
+    const assignment = await autoAssign(lead, assignmentRules, pendingLoad);
+    batch.push({ lead, assignment, row });
+
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+
+  if (!dryRun) await flush();
+  if (onProgress) await onProgress(rows.length);
+
+  return summary;
+};
+
+// CSV of the rows an import skipped
+export const buildErrorReport = (entries) => {
+  const worksheet = xlsx.utils.json_to_sheet(
+    entries
+      .slice()
+      .sort((a, b) => a.row - b.row)
+      .map((entry) => ({ Row: entry.row, Type: entry.type, Message: entry.message }))
+  );
+  return xlsx.utils.sheet_to_csv(worksheet);
+};
@@ -0,0 +1,183 @@
+import { coerceCustomValue, CUSTOM_FIELD_PREFIX } from './customFields.js';
+
+// Compiles the "where" filter language of the lead list into a MongoDB filter.
+// A filter is a condition { field, op, value } or a group { and: [...] } / { or: [...] }
+// of filters. Conditions name a lead field or a custom field as "cf.<key>".
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Groups can be nested this deep
+const MAX_DEPTH = 4;
+
+// Operators each kind of field accepts
+const KIND_OPERATORS = {
+  text: ['eq', 'ne', 'in', 'nin', 'contains', 'empty', 'not_empty'],
+  id: ['eq', 'ne', 'in', 'nin', 'empty', 'not_empty'],
+  idList: ['any', 'all', 'none', 'empty', 'not_empty'],
+  date: ['gte', 'lte', 'empty', 'not_empty'],
+  number: ['eq', 'ne', 'gte', 'lte', 'empty', 'not_empty'],
+  boolean: ['eq', 'empty', 'not_empty'],
+  select: ['eq', 'ne', 'in', 'nin', 'empty', 'not_empty'],
+  multiSelect: ['any', 'all', 'none', 'empty', 'not_empty'],
+  list: ['empty', 'not_empty'],
+};
+
+// Lead fields usable in conditions, by kind
+const LEAD_FIELDS = {
+  name: 'text',
+  email: 'text',
+  phone: 'text',
+  source: 'text',
+  status: 'text',
+  pipeline: 'id',
+  assignedTo: 'id',
+  tags: 'idList',
+  notes: 'list',
+  score: 'number',
+  createdAt: 'date',
+  updatedAt: 'date',
+};
+
+const CUSTOM_KINDS = {
+  text: 'text',
+  number: 'number',
+  date: 'date',
+  boolean: 'boolean',
+  select: 'select',
+  multi_select: 'multiSelect',
+};
+
+export const QUERY_OPERATORS = [...new Set(Object.values(KIND_OPERATORS).flat())];
+
+// Escape text for use in a $regex that matches it literally
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Error thrown for filters that cannot be applied, such as unknown fields or values
+// of the wrong type. Routes answer it with sendValidationErrors(res, error.errors).
+export const filterError = (errors) => {
+  const error = new Error('Invalid lead filter');
+  error.name = 'FilterError';
+  error.errors = errors;
+  return error;
+};
+
+// Whether a date value is a day without a time, so that lte covers the whole day
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+// Convert a condition value for a lead field. Returns { value } or { error }.
+const coerceLeadValue = (kind, value) => {
+  if (kind === 'id' || kind === 'idList') {
+    return /^[a-f\d]{24}$/i.test(String(value)) ? { value: String(value) } : { error: 'Invalid ID' };
+  }
+  if (kind === 'date') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? { error: 'Must be a date' } : { value: date };
+  }
+  if (kind === 'number') {
+    const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    return Number.isNaN(number) ? { error: 'Must be a number' } : { value: number };
+  }
+  if (typeof value === 'object') return { error: 'Must be text' };
+  return { value: String(value) };
+};
+
+const compileCondition = ({ field, op, value }, customFields, fail) => {
+  let path = field;
+  let kind = LEAD_FIELDS[field];
+  let customField = null;
+
+  if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+    const key = field.slice(CUSTOM_FIELD_PREFIX.length);
+    customField = customFields.find((item) => item.key === key);
+    path = `customFields.${key}`;
+    kind = customField && CUSTOM_KINDS[customField.type];
+  }
+
+  if (!kind) return fail('field', `Unknown field ${field}`);
+  if (!KIND_OPERATORS[kind].includes(op)) {
+    return fail('op', `${field} supports ${KIND_OPERATORS[kind].join(', ')}`);
+  }
+
+  // Custom fields hold no empty values, their values are removed instead
+  if (op === 'empty' || op === 'not_empty') {
+    const empty = op === 'empty';
+    if (customField) return { [path]: { $exists: !empty } };
+    if (kind === 'idList' || kind === 'list') return empty ? { [path]: { $size: 0 } } : { [`${path}.0`]: { $exists: true } };
+    if (kind === 'id') return empty ? { [path]: null } : { [path]: { $ne: null } };
+    return { [path]: empty ? { $in: [null, ''] } : { $nin: [null, ''] } };
+  }
+
+  const listOperator = ['in', 'nin', 'any', 'all', 'none'].includes(op);
+  if (value === undefined || (listOperator && (!Array.isArray(value) || value.length === 0))) {
+    return fail('value', listOperator ? 'Must be a list of values' : 'Value is required');
+  }
+
+  const coerce = (item) => {
+    const result = customField ? coerceCustomValue(customField, item) : coerceLeadValue(kind, item);
+    if (result.error) fail('value', result.error);
+    return result.value;
+  };
+  const values = listOperator ? value.map(coerce).flat() : null;
+
+  switch (op) {
+    case 'eq':
+      return { [path]: coerce(value) };
+    case 'ne':
+      return { [path]: { $ne: coerce(value) } };
+    case 'in':
+    case 'any':
+      return { [path]: { $in: values } };
+    case 'nin':
+    case 'none':
+      return { [path]: { $nin: values } };
+    case 'all':
+      return { [path]: { $all: values } };
+    case 'contains':
+      return { [path]: { $regex: escapeRegex(String(value)), $options: 'i' } };
+    case 'gte':
+      return { [path]: { $gte: coerce(value) } };
+    case 'lte': {
+      const limit = coerce(value);
+      if (kind === 'date' && limit && isDay(value)) return { [path]: { $lt: new Date(limit.getTime() + DAY_MS) } };
+      return { [path]: { $lte: limit } };
+    }
+    default:
+      return fail('op', `Unknown operator ${op}`);
+  }
+};
+
+// Compile a where filter (validated by leadQuery in validation/leads.js) to a MongoDB
+// filter. customFields are the field definitions. Throws a FilterError listing every
+// problem, with fields given as paths such as where.and.1.value.
+export const compileLeadQuery = (where, customFields) => {
+  const errors = [];
+
+  const compile = (node, path, depth) => {
+    const group = node.and ? 'and' : node.or ? 'or' : null;
+
+    if (group) {
+      if (depth >= MAX_DEPTH) {
+        errors.push({ location: 'query', field: path, message: `Groups can be nested at most ${MAX_DEPTH} deep` });
+        return {};
+      }
+      const clauses = node[group].map((child, index) => compile(child, `${path}.${group}.${index}`, depth + 1));
+      return { [`$${group}`]: clauses };
+    }
+
+    const fail = (field, message) => {
+      errors.push({ location: 'query', field: `${path}.${field}`, message });
+      return {};
+    };
+    return compileCondition(node, customFields, fail);
+  };
+
+  const filter = compile(where, 'where', 0);
+  if (errors.length > 0) throw filterError(errors);
+  return filter;
+};
+
+// Whether a where filter refers to custom fields, so their definitions are needed
+export const usesCustomFields = (node) => {
+  if (node.and || node.or) return (node.and || node.or).some(usesCustomFields);
+  return node.field.startsWith(CUSTOM_FIELD_PREFIX);
+};
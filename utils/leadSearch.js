@@ -0,0 +1,102 @@
+import Lead from '../models/Lead.js';
+import Tag from '../models/Tag.js';
+import { escapeRegex } from './leadQuery.js';
+import { nameWords } from './normalize.js';
+
+// Characters of context kept on each side of the first match in a note
+const SNIPPET_CONTEXT = 40;
+
+// Words of a $text search, without quotes or excluded (-word) terms
+export const searchTerms = (q) => {
+  return q
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'))
+    .map((word) => word.toLowerCase());
+};
+
+// Start and end offsets of every occurrence of the terms in the text, in order
+const matchRanges = (text, terms) => {
+  const ranges = [];
+  const lower = text.toLowerCase();
+
+  terms.forEach((term) => {
+    for (let start = lower.indexOf(term); start !== -1; start = lower.indexOf(term, start + term.length)) {
+      ranges.push([start, start + term.length]);
+    }
+  });
+
+  return ranges.sort((a, b) => a[0] - b[0]);
+};
+
+// Where the terms appear in a lead (with populated tags), for highlighting.
+// Each entry names the field, the text shown and the [start, end) offsets of the matches;
+// for notes the text is a snippet around the first match.
+export const highlightLead = (lead, terms) => {
+  const highlights = [];
+
+  const add = (field, text) => {
+    if (!text) return false;
+    const matches = matchRanges(text, terms);
+    if (matches.length === 0) return false;
+    highlights.push({ field, text, matches });
+    return true;
+  };
+
+  add('name', lead.name);
+  add('email', lead.email);
+  add('phone', lead.phone);
+  (lead.tags || []).forEach((tag) => add('tags', tag.name));
+
+  // Only the first matching note is shown
+  (lead.notes || []).some((note) => {
+    const [first] = matchRanges(note.content, terms);
+    if (!first) return false;
+
+    const start = Math.max(0, first[0] - SNIPPET_CONTEXT);
+    const end = Math.min(note.content.length, first[1] + SNIPPET_CONTEXT);
+    return add('notes', note.content.slice(start, end));
+  });
+
+  return highlights;
+};
+
+// Filter for typeahead suggestions: every typed word starting a word of the name, the
+// email starting with the text, or the phone number (without country prefix) starting
+// with its digits. Each clause is an anchored prefix on a lowercase field, so it can use
+// an index rather than scan every lead.
+export const prefixFilter = (q) => {
+  const text = q.trim().toLowerCase();
+  const clauses = [{ email: { $regex: `^${escapeRegex(text)}` } }];
+
+  const words = nameWords(text);
+  if (words.length > 0) {
+    clauses.push({ nameWords: { $all: words.map((word) => new RegExp(`^${escapeRegex(word)}`)) } });
+  }
+
+  const digits = q.replace(/\D/g, '');
+  if (digits.length >= 3) clauses.push({ phoneKey: { $regex: `^${digits}` } });
+
+  return { $or: clauses };
+};
+
+// Fill in the tag names and name words used by search for leads saved before they existed
+export const backfillSearchKeys = async () => {
+  const cursor = Lead.find({ $or: [{ tagNames: { $exists: false } }, { nameWords: { $exists: false } }] })
+    .select('name tags')
+    .lean()
+    .cursor();
+  const tags = await Tag.find().select('name').lean();
+  const nameById = new Map(tags.map((tag) => [tag._id.toString(), tag.name]));
+
+  let count = 0;
+  for (let lead = await cursor.next(); lead; lead = await cursor.next()) {
+    const tagNames = lead.tags.map((id) => nameById.get(id.toString())).filter(Boolean);
+    await Lead.updateOne({ _id: lead._id }, { $set: { tagNames, nameWords: nameWords(lead.name) } });
+    count++;
+  }
+
+  if (count > 0) {
+    console.log(`Added search keys to ${count} leads`);
+  }
+};
@@ -0,0 +1,38 @@
+import User from '../models/User.js';
+
+// Failed password attempts allowed before an account is locked, and for how long
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5');
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES || '15');
+
+export const isLocked = (user) => Boolean(user.lockedUntil && user.lockedUntil > new Date());
+
+// Count a failed login. Reaching the limit locks the account and starts the count again.
+// Returns the lock expiry when this attempt locked the account.
+export const recordFailedLogin = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGINS) return null;
+
+  const lockedUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lockedUntil, failedLoginAttempts: 0 } }
+  );
+  return lockedUntil;
+};
+
+// Forget failed attempts and any lock, after a successful login or a password reset
+export const clearFailedLogins = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lockedUntil: null } }
+  );
+};
+
+export const lockedMessage = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+  return `Account is locked after too many failed logins. Try again in ${minutes} minutes or reset your password.`;
+};
@@ -0,0 +1,61 @@
+// Normalization used to match leads that are likely the same person
+
+// Domains that ignore dots in the local part of an address
+const DOTLESS_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Lowercase an email and drop "+tag" suffixes (and dots for Gmail)
+export const normalizeEmail = (email) => {
+  if (!email) return null;
+
+  const [local, domain] = email.trim().toLowerCase().split('@');
+  if (!domain) return null;
+
+  let base = local.split('+')[0];
+  if (DOTLESS_DOMAINS.includes(domain)) base = base.replace(/\./g, '');
+
+  return `${base}@${domain}`;
+};
+
+// Keep the digits of a phone number, ignoring any country prefix
+export const normalizePhone = (phone) => {
+  if (!phone) return null;
+
+  const digits = String(phone).replace(/\D/g, '');
+  if (digits.length < 7) return null;
+
+  return digits.slice(-10);
+};
+
+// Lowercase words of a name, in order
+export const nameWords = (name) => (name ? name.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [] : []);
+
+// Lowercase name words in sorted order, so "Doe, John" matches "john doe"
+export const normalizeName = (name) => {
+  const words = nameWords(name);
+  return words.length > 0 ? words.sort().join(' ') : null;
+};
+
+// Levenshtein distance turned into a similarity between 0 and 1
+export const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+// Match keys stored on a lead for duplicate lookups
+export const duplicateKeys = ({ name, email, phone }) => ({
+  emailKey: normalizeEmail(email),
+  phoneKey: normalizePhone(phone),
+  nameKey: normalizeName(name),
+});
@@ -0,0 +1,44 @@
+import bcrypt from 'bcryptjs';
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '10');
+
+// A few passwords that are always rejected whatever their shape
+const COMMON_PASSWORDS = [
+  'password', 'password1', 'password123', 'admin123', 'qwerty123', 'letmein', 'welcome1',
+  '12345678', '123456789', '1234567890', 'iloveyou', 'changeme', 'leadflow',
+];
+
+// Check a password against the policy. Returns a list of problems (empty when valid).
+export const checkPasswordPolicy = (password) => {
+  const problems = [];
+
+  if (password.length < MIN_LENGTH) problems.push(`Password must be at least ${MIN_LENGTH} characters`);
+  if (!/[a-z]/.test(password)) problems.push('Password must contain a lowercase letter');
+  if (!/[A-Z]/.test(password)) problems.push('Password must contain an uppercase letter');
+  if (!/\d/.test(password)) problems.push('Password must contain a number');
+  if (COMMON_PASSWORDS.includes(password.toLowerCase())) problems.push('Password is too common');
+
+  return problems;
+};
+
+// Reject passwords built from the user's own email or name
+export const checkPasswordPersonalInfo = (password, { email, name } = {}) => {
+  const problems = [];
+  const lower = password.toLowerCase();
+
+  const localPart = email && email.split('@')[0].toLowerCase();
+  if (localPart && localPart.length >= 3 && lower.includes(localPart)) {
+    problems.push('Password must not contain your email address');
+  }
+  const firstName = name && name.trim().split(/\s+/)[0].toLowerCase();
+  if (firstName && firstName.length >= 3 && lower.includes(firstName)) {
+    problems.push('Password must not contain your name');
+  }
+
+  return problems;
+};
+
+export const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
@@ -0,0 +1,96 @@
+// Every permission a role can grant, with a description for the role editor
+export const PERMISSIONS = {
+  'leads.read.own': 'See and work on leads assigned to you and to members of teams you manage',
+  'leads.read.all': 'See and work on every lead',
+  'leads.create': 'Create leads',
+  'leads.update': 'Edit leads and add notes',
+  'leads.assign': 'Change who leads and tasks are assigned to',
+  'leads.delete': 'Delete leads',
+  'leads.merge': 'Merge duplicate leads',
+  'leads.import': 'Import leads from spreadsheets',
+  'leads.export': 'Export leads',
+  'trash.manage': 'See, restore and purge deleted leads (and users, with users.manage)',
+  'tags.manage': 'Create, change, merge and delete tags',
+  'custom_fields.manage': 'Define the custom fields stored on leads',
+  'views.manage': 'Change and delete lead views shared by other users',
+  'email_templates.manage': 'Create and change the email templates used to email leads',
+  'scoring.manage': 'Manage lead scoring rules and rescore leads',
+  'teams.manage': 'Create teams and choose their members and managers',
+  'pipelines.manage': 'Create and change pipelines and move leads between them',
+  'assignment_rules.manage': 'Manage automatic assignment rules',
+  'automations.manage': 'Manage automation rules and see their execution log',
+  'webhooks.manage': 'Manage webhook subscriptions',
+  'api_keys.manage': 'Manage API keys',
+  'analytics.read': 'View reports',
+  'users.read': 'See user accounts',
+  'users.manage': 'Create, invite, change and delete user accounts',
+  'roles.manage': 'Create and change roles',
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Grants every permission, including ones added later
+export const ALL_PERMISSIONS = '*';
+
+// Either permission lets a user see leads; leads.read.own limits them to their own
+export const READ_LEADS = ['leads.read.own', 'leads.read.all'];
+
+// Roles created on startup. Their permissions can be changed, except super_admin's.
+export const DEFAULT_ROLES = [
+  {
+    name: 'super_admin',
+    label: 'Super Admin',
+    description: 'Full access to everything',
+    permissions: [ALL_PERMISSIONS],
+  },
+  {
+    name: 'admin',
+    label: 'Admin',
+    description: 'Manages leads, pipelines and integrations',
+    permissions: [
+      'leads.read.all',
+      'leads.create',
+      'leads.update',
+      'leads.assign',
+      'leads.delete',
+      'leads.merge',
+      'leads.import',
+      'leads.export',
+      'trash.manage',
+      'tags.manage',
+      'custom_fields.manage',
+      'views.manage',
+      'email_templates.manage',
+      'scoring.manage',
+      'teams.manage',
+      'pipelines.manage',
+      'assignment_rules.manage',
+      'automations.manage',
+      'webhooks.manage',
+      'api_keys.manage',
+      'analytics.read',
+      'users.read',
+    ],
+  },
+  {
+    name: 'agent',
+    label: 'Agent',
+    description: 'Works the leads assigned to them',
+    permissions: ['leads.read.own', 'leads.create', 'leads.update', 'analytics.read'],
+  },
+];
+
+// Whether a user (req.user) has a permission. An array means any one of them.
+export const hasPermission = (user, permission) => {
+  const granted = (user && user.permissions) || [];
+  if (granted.includes(ALL_PERMISSIONS)) return true;
+
+  return Array.isArray(permission)
+    ? permission.some((item) => granted.includes(item))
+    : granted.includes(permission);
+};
+
+// Whether a user holds every permission in the list, e.g. before granting them to others
+export const hasAllPermissions = (user, permissions) => {
+  return permissions.every((permission) => hasPermission(user, permission));
+};
@@ -0,0 +1,129 @@
+import Pipeline from '../models/Pipeline.js';
+import Lead from '../models/Lead.js';
+import AssignmentRule from '../models/AssignmentRule.js';
+import ScoringRule from '../models/ScoringRule.js';
+import AutomationRule from '../models/AutomationRule.js';
+import SavedView from '../models/SavedView.js';
+import { clearScoringRuleCache } from './scoring.js';
+
+// Create the default pipeline and attach leads saved before pipelines existed
+export const ensureDefaultPipeline = async () => {
+  const pipeline = await Pipeline.getDefault();
+  const result = await Lead.updateMany(
+    { pipeline: null },
+    { $set: { pipeline: pipeline._id } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Moved ${result.modifiedCount} leads onto the ${pipeline.name} pipeline`);
+  }
+
+  return pipeline;
+};
+
+// Build the lead filter for the pipeline, stage and stage type query parameters
+export const buildStageFilter = async ({ pipeline, status, stageType }) => {
+  const filter = {};
+
+  if (pipeline) filter.pipeline = pipeline;
+
+  if (status) {
+    const statuses = Array.isArray(status) ? status : status.split(',');
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  // Stage types are defined per pipeline, so match each pipeline's stages of that type
+  if (stageType) {
+    const pipelines = await Pipeline.find(pipeline ? { _id: pipeline } : {});
+    const clauses = pipelines
+      .map((item) => ({
+        pipeline: item._id,
+        status: {
+          $in: item.stages
+            .filter((stage) => stage.type === stageType)
+            .map((stage) => stage.name),
+        },
+      }))
+      .filter((clause) => clause.status.$in.length > 0);
+
+    filter.$and = [{ $or: clauses.length > 0 ? clauses : [{ _id: null }] }];
+  }
+
+  return filter;
+};
+
+// Map of "pipelineId:stage" to the stage's type and position, for classifying leads
+export const loadStageIndex = async () => {
+  const pipelines = await Pipeline.find();
+  const index = new Map();
+
+  pipelines.forEach((pipeline) => {
+    pipeline.stages.forEach((stage, position) => {
+      index.set(`${pipeline._id}:${stage.name}`, {
+        type: stage.type,
+        probability: stage.probability,
+        position,
+      });
+    });
+  });
+
+  return index;
+};
+
+// Rename the stages of a pipeline in rule conditions, automation triggers and set_field
+// actions, and saved view filters. These name stages without a pipeline, so a stage is
+// left alone while another pipeline still has a stage with its old name.
+export const renameStageReferences = async (pipeline, renames) => {
+  const others = await Pipeline.find({ _id: { $ne: pipeline._id } }).select('stages.name').lean();
+  const taken = new Set(others.flatMap((item) => item.stages.map((stage) => stage.name)));
+  const names = new Map(renames.filter((item) => !taken.has(item.from)).map((item) => [item.from, item.to]));
+  if (names.size === 0) return;
+
+  // Values are a stage name or a list of them
+  const rename = (value) => {
+    if (Array.isArray(value)) return value.map(rename);
+    return typeof value === 'string' && names.has(value) ? names.get(value) : value;
+  };
+  const renameConditions = (conditions) => conditions.forEach((condition) => {
+    if (condition.field === 'status') condition.value = rename(condition.value);
+  });
+
+  const rules = [
+    ...await AssignmentRule.find({ 'conditions.field': 'status' }),
+    ...await ScoringRule.find({ 'conditions.field': 'status' }),
+    ...await AutomationRule.find({
+      $or: [{ 'conditions.field': 'status' }, { 'trigger.field': 'status' }, { 'actions.field': 'status' }],
+    }),
+  ];
+
+  for (const rule of rules) {
+    renameConditions(rule.conditions);
+    if (rule.trigger && rule.trigger.field === 'status') rule.trigger.to = rename(rule.trigger.to);
+    (rule.actions || []).forEach((action) => {
+      if (action.type === 'set_field' && action.field === 'status') action.value = rename(action.value);
+    });
+
+    rule.markModified('conditions');
+    if (rule.actions) rule.markModified('actions');
+    await rule.save({ validateBeforeSave: rule.isActive });
+  }
+  clearScoringRuleCache();
+
+  // where filters nest conditions { field, op, value } in { and } and { or } groups
+  const renameWhere = (filter) => {
+    if (!filter || typeof filter !== 'object') return;
+    if (Array.isArray(filter.and)) filter.and.forEach(renameWhere);
+    if (Array.isArray(filter.or)) filter.or.forEach(renameWhere);
+    if (filter.field === 'status') filter.value = rename(filter.value);
+  };
+
+  const views = await SavedView.find({
+    $or: [{ 'filters.status': { $exists: true } }, { 'filters.where': { $exists: true } }],
+  });
+  for (const view of views) {
+    if (view.filters.status) view.filters.status = rename(view.filters.status);
+    renameWhere(view.filters.where);
+    view.markModified('filters');
+    await view.save();
+  }
+};
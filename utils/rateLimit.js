@@ -0,0 +1,55 @@
+// In-memory fixed-window rate limiting. Counts live in this process only,
+// so limits apply per API instance.
+
+export const createRateLimiter = ({ windowMs }) => {
+  const windows = new Map();
+
+  // Drop finished windows now and then so the map does not grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }, windowMs);
+  cleanup.unref();
+
+  // Count a request for a key; allowed is false once the key is over max
+  const hit = (key, max) => {
+    const now = Date.now();
+    let entry = windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+
+    entry.count++;
+
+    return {
+      allowed: entry.count <= max,
+      remaining: Math.max(0, max - entry.count),
+      resetAt: entry.resetAt,
+    };
+  };
+
+  // Forget a key, e.g. after a successful login
+  const reset = (key) => windows.delete(key);
+
+  return { hit, reset };
+};
+
+// Set the standard rate limit headers and send 429 when the limit is exceeded.
+// Returns true if the request may continue.
+export const applyRateLimit = (res, result, max) => {
+  res.setHeader('X-RateLimit-Limit', max);
+  res.setHeader('X-RateLimit-Remaining', result.remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(result.resetAt / 1000));
+
+  if (!result.allowed) {
+    res.setHeader('Retry-After', Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.status(429).json({ message: 'Too many requests, please try again later' });
+    return false;
+  }
+
+  return true;
+};
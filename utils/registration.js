@@ -0,0 +1,38 @@
+// Self-registration through POST /api/auth/register, set by REGISTRATION_MODE:
+//   disabled - nobody can register
+//   invite   - accounts are only created by invites (the default)
+//   domain   - anyone with an email in REGISTRATION_DOMAINS can register
+//   open     - anyone can register
+export const REGISTRATION_MODES = ['disabled', 'invite', 'domain', 'open'];
+
+const configuredMode = (process.env.REGISTRATION_MODE || 'invite').toLowerCase();
+export const REGISTRATION_MODE = REGISTRATION_MODES.includes(configuredMode) ? configuredMode : 'disabled';
+
+if (configuredMode !== REGISTRATION_MODE) {
+  console.error(`Unknown REGISTRATION_MODE "${configuredMode}", registration is disabled`);
+}
+
+const ALLOWED_DOMAINS = (process.env.REGISTRATION_DOMAINS || '')
+  .split(',')
+  .map((domain) => domain.trim().toLowerCase().replace(/^@/, ''))
+  .filter(Boolean);
+
+// Role given to every self-registered user; privileged roles are only granted by a super admin
+export const REGISTRATION_ROLE = 'agent';
+
+// Why an email may not self-register, or null if it may
+export const registrationError = (email) => {
+  switch (REGISTRATION_MODE) {
+    case 'open':
+      return null;
+    case 'domain': {
+      const domain = email.split('@')[1];
+      if (ALLOWED_DOMAINS.includes(domain)) return null;
+      return 'Registration is not open to this email domain';
+    }
+    case 'invite':
+      return 'Registration is by invitation only';
+    default:
+      return 'Registration is disabled';
+  }
+};
@@ -0,0 +1,89 @@
+import Lead from '../models/Lead.js';
+import { loadScoringRules, computeScore } from './scoring.js';
+
+// Scores are written with one bulk update per batch
+const BATCH_SIZE = 500;
+
+// Progress of the current or last full rescore
+const fullRescore = {
+  running: false,
+  startedAt: null,
+  finishedAt: null,
+  processed: 0,
+  changed: 0,
+  error: null,
+};
+
+// Recalculate the stored scores of the leads matching a filter, e.g. after rules change,
+// updates that bypass save, or simply as time passes and scores decay. updatedAt is
+// left alone, so rescoring does not count as activity. Returns how many leads were
+// checked and how many scores changed.
+export const rescoreLeads = async (filter = {}, onProgress) => {
+  const rules = await loadScoringRules();
+  const now = Date.now();
+  const cursor = Lead.find(filter)
+    .select('source status pipeline tags assignedTo email phone customFields notes.createdAt score createdAt updatedAt')
+    .lean()
+    .cursor();
+
+  let processed = 0;
+  let changed = 0;
+  let updates = [];
+
+  const flush = async () => {
+    if (updates.length === 0) return;
+    await Lead.bulkWrite(updates, { ordered: false });
+    updates = [];
+  };
+
+  for (let lead = await cursor.next(); lead; lead = await cursor.next()) {
+    processed++;
+    const score = computeScore(lead, rules, now);
+
+    if (score !== lead.score) {
+      changed++;
+      updates.push({ updateOne: { filter: { _id: lead._id }, update: { $set: { score, scoredAt: new Date(now) } } } });
+    }
+
+    if (updates.length >= BATCH_SIZE) {
+      await flush();
+      if (onProgress) onProgress(processed, changed);
+    }
+  }
+  await flush();
+
+  return { processed, changed };
+};
+
+export const fullRescoreStatus = () => ({ ...fullRescore });
+
+// Rescore every lead in the background. Returns false if a full rescore is already running.
+export const startFullRescore = () => {
+  if (fullRescore.running) return false;
+
+  Object.assign(fullRescore, {
+    running: true,
+    startedAt: new Date(),
+    finishedAt: null,
+    processed: 0,
+    changed: 0,
+    error: null,
+  });
+
+  setImmediate(async () => {
+    try {
+      const result = await rescoreLeads({}, (processed, changed) => {
+        Object.assign(fullRescore, { processed, changed });
+      });
+      Object.assign(fullRescore, result);
+    } catch (error) {
+      console.error('Error rescoring leads:', error);
+      fullRescore.error = error.message;
+    } finally {
+      fullRescore.running = false;
+      fullRescore.finishedAt = new Date();
+    }
+  });
+
+  return true;
+};
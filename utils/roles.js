@@ -0,0 +1,54 @@
+import Role from '../models/Role.js';
+import { DEFAULT_ROLES, ALL_PERMISSIONS, hasAllPermissions } from './permissions.js';
+
+// Role permissions are read on every request, so they are cached briefly.
+// Changes made through this instance clear the cache straight away.
+const CACHE_MS = parseInt(process.env.ROLE_CACHE_MS || '30000');
+const cache = new Map();
+
+// Create the built-in roles that do not exist yet
+export const ensureDefaultRoles = async () => {
+  for (const role of DEFAULT_ROLES) {
+    await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+
+  // Super admins always keep every permission so they cannot be locked out
+  await Role.updateOne({ name: 'super_admin' }, { $set: { permissions: [ALL_PERMISSIONS] } });
+  cache.clear();
+};
+
+// Permissions granted by a role name; an unknown role grants none
+export const getRolePermissions = async (name) => {
+  const cached = cache.get(name);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const role = await Role.findOne({ name }).select('permissions').lean();
+  const permissions = role ? role.permissions : [];
+  cache.set(name, { permissions, expiresAt: Date.now() + CACHE_MS });
+
+  return permissions;
+};
+
+export const clearRoleCache = () => cache.clear();
+
+// Names of the roles that list a permission themselves (the * of super_admin does not count)
+export const rolesWithPermission = (permission) => Role.distinct('name', { permissions: permission });
+
+// Whether the user holds every permission of a role. Nobody can hand out, or change
+// the account of someone with, permissions they do not have themselves.
+export const canManageRole = async (user, name) => {
+  return hasAllPermissions(user, await getRolePermissions(name));
+};
+
+// Why the user may not give a role to someone, or null if they may
+export const roleGrantError = async (user, name) => {
+  if (!(await Role.exists({ name }))) return `Role ${name} does not exist`;
+  if (!(await canManageRole(user, name))) {
+    return `You cannot grant the ${name} role because it has permissions you do not have`;
+  }
+  return null;
+};
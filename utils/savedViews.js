@@ -0,0 +1,30 @@
+import SavedView from '../models/SavedView.js';
+import { hasPermission } from './permissions.js';
+
+// Views a user can use: their own and every shared view
+export const visibleViewsFilter = (user) => ({
+  $or: [{ createdBy: user.id }, { shared: true }],
+});
+
+// Owners change their views; views.manage also changes other users' shared views
+export const canChangeView = (user, view) => {
+  if (view.createdBy.toString() === user.id) return true;
+  return view.shared && hasPermission(user, 'views.manage');
+};
+
+// Combine the saved view named by query.view with the other query parameters, which
+// replace the view's own. Returns null when the view does not exist or is not visible.
+export const applySavedView = async (query, user) => {
+  if (!query.view) return query;
+
+  const view = await SavedView.findOne({ _id: query.view, ...visibleViewsFilter(user) }).lean();
+  if (!view) return null;
+
+  const given = Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined));
+
+  return {
+    ...view.filters,
+    ...(view.sort.length > 0 ? { sort: view.sort } : {}),
+    ...given,
+  };
+};
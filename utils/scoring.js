@@ -0,0 +1,68 @@
+import ScoringRule from '../models/ScoringRule.js';
+import { matchesConditions } from './conditions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scores start to decay once a lead has had no activity for this many days,
+// and then halve every half-life
+const DECAY_GRACE_DAYS = parseFloat(process.env.SCORE_DECAY_GRACE_DAYS || '7');
+const DECAY_HALF_LIFE_DAYS = parseFloat(process.env.SCORE_DECAY_HALF_LIFE_DAYS || '30');
+
+// Rules are read on every lead save, so they are cached briefly.
+// Changes made through this instance clear the cache straight away.
+const CACHE_MS = parseInt(process.env.SCORING_RULE_CACHE_MS || '30000');
+let cache = null;
+
+// Facts a scoring rule condition can test, besides custom fields (cf.<key>)
+export const SCORING_FIELDS = [
+  'source', 'status', 'pipeline', 'tags', 'assignedTo', 'email', 'phone', 'noteCount', 'daysSinceActivity',
+];
+
+export const loadScoringRules = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache.rules;
+
+  const rules = await ScoringRule.find({ isActive: true }).lean();
+  cache = { rules, expiresAt: Date.now() + CACHE_MS };
+  return rules;
+};
+
+export const clearScoringRuleCache = () => {
+  cache = null;
+};
+
+// Latest of the lead's last change and its newest note
+const lastActivityAt = (lead) => {
+  const times = [lead.createdAt, lead.updatedAt, ...(lead.notes || []).map((note) => note.createdAt)]
+    .filter(Boolean)
+    .map((time) => new Date(time).getTime());
+  return times.length > 0 ? Math.max(...times) : Date.now();
+};
+
+// What the rule conditions are tested against
+export const scoringFacts = (lead, now = Date.now()) => ({
+  source: lead.source,
+  status: lead.status,
+  pipeline: lead.pipeline,
+  tags: lead.tags,
+  assignedTo: lead.assignedTo,
+  email: lead.email,
+  phone: lead.phone,
+  cf: lead.customFields || {},
+  noteCount: (lead.notes || []).length,
+  daysSinceActivity: Math.max(0, Math.floor((now - lastActivityAt(lead)) / DAY_MS)),
+});
+
+// A lead's score: the points of every rule it matches, decayed when it has
+// had no recent activity
+export const computeScore = (lead, rules, now = Date.now()) => {
+  const facts = scoringFacts(lead, now);
+
+  const points = rules
+    .filter((rule) => matchesConditions(facts, rule.conditions))
+    .reduce((sum, rule) => sum + rule.points, 0);
+
+  const staleDays = facts.daysSinceActivity - DECAY_GRACE_DAYS;
+  const decay = staleDays > 0 ? 0.5 ** (staleDays / DECAY_HALF_LIFE_DAYS) : 1;
+
+  return Math.round(points * decay);
+};
@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+import Tag from '../models/Tag.js';
+import Lead from '../models/Lead.js';
+import ApiKey from '../models/ApiKey.js';
+import AssignmentRule from '../models/AssignmentRule.js';
+import ScoringRule from '../models/ScoringRule.js';
+import AutomationRule from '../models/AutomationRule.js';
+import { clearScoringRuleCache } from './scoring.js';
+import { rescoreLeads } from './rescore.js';
+
+// Tag with the same name ignoring case, other than excludeId
+export const findTagByName = (name, excludeId) => {
+  const filter = excludeId ? { name, _id: { $ne: excludeId } } : { name };
+  return Tag.findOne(filter).collation({ locale: 'en', strength: 2 });
+};
+
+// Number of leads carrying each tag, by tag id. Leads in the trash are not counted.
+export const tagUsageCounts = async (tagIds) => {
+  const match = tagIds ? { tags: { $in: tagIds.map((id) => new mongoose.Types.ObjectId(id)) } } : {};
+  const counts = await Lead.aggregate([
+    { $match: { deletedAt: null, ...match } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((item) => [item._id.toString(), item.count]));
+};
+
+// Keep the tag names stored on leads for search in step with a renamed tag
+export const renameTagOnLeads = async (tag, oldName) => {
+  await Lead.updateMany(
+    { tags: tag._id },
+    { $set: { 'tagNames.$[name]': tag.name } },
+    { arrayFilters: [{ name: oldName }] }
+  );
+};
+
+// Take tags off every lead (trashed ones too) and out of API key defaults
+const pullTags = async (tags) => {
+  const ids = tags.map((tag) => tag._id);
+  const leadIds = await Lead.distinct('_id', { tags: { $in: ids } });
+
+  const leads = await Lead.updateMany(
+    { tags: { $in: ids } },
+    { $pull: { tags: { $in: ids }, tagNames: { $in: tags.map((tag) => tag.name) } } }
+  );
+  await ApiKey.updateMany({ defaultTags: { $in: ids } }, { $pull: { defaultTags: { $in: ids } } });
+  await rescoreLeads({ _id: { $in: leadIds } });
+
+  return leads.modifiedCount;
+};
+
+// Point assignment, scoring and automation rules at the target tag instead of the given
+// tags, or without a target take the tags out of them. A rule that would be left with a
+// condition on deleted tags only, or with no actions, is turned off rather than widened.
+const replaceTagInRules = async (ids, target) => {
+  const tagIds = new Set(ids.map((id) => id.toString()));
+  const targetId = target ? target._id.toString() : null;
+  const isTag = (value) => tagIds.has(String(value));
+
+  const rules = [
+    ...await AssignmentRule.find({ 'conditions.field': 'tags' }),
+    ...await ScoringRule.find({ 'conditions.field': 'tags' }),
+    ...await AutomationRule.find({ $or: [{ 'conditions.field': 'tags' }, { 'actions.tag': { $in: ids } }] }),
+  ];
+
+  for (const rule of rules) {
+    let changed = false;
+
+    // Conditions hold tag ids as strings, alone or in a list
+    rule.conditions = rule.conditions.filter((condition) => {
+      if (condition.field !== 'tags') return true;
+      const values = Array.isArray(condition.value) ? condition.value : [condition.value];
+      if (!values.some(isTag)) return true;
+
+      changed = true;
+      const kept = [...new Set(values.map((value) => (isTag(value) ? targetId : String(value))).filter(Boolean))];
+      if (kept.length > 0) {
+        condition.value = Array.isArray(condition.value) ? kept : kept[0];
+        return true;
+      }
+
+      // not_equals on a deleted tag now always holds, so it can simply go
+      if (condition.operator !== 'not_equals') rule.isActive = false;
+      return false;
+    });
+
+    if (rule.actions && rule.actions.some((action) => action.tag && isTag(action.tag))) {
+      changed = true;
+      if (target) {
+        rule.actions.forEach((action) => {
+          if (action.tag && isTag(action.tag)) action.tag = target._id;
+        });
+      } else {
+        rule.actions = rule.actions.filter((action) => !action.tag || !isTag(action.tag));
+        if (rule.actions.length === 0) rule.isActive = false;
+      }
+    }
+
+    if (changed) {
+      rule.markModified('conditions');
+      // A rule left without actions would fail validation; it is kept, turned off, for an admin to fix
+      await rule.save({ validateBeforeSave: rule.isActive });
+    }
+  }
+
+  clearScoringRuleCache();
+};
+
+// Take tags off every lead, out of API key defaults and out of the rules using them
+export const removeTags = async (tags) => {
+  const leadCount = await pullTags(tags);
+  await replaceTagInRules(tags.map((tag) => tag._id), null);
+  return leadCount;
+};
+
+// Replace the source tags with the target on leads, API key defaults, rule conditions
+// and automation actions. The source tags themselves are left for the caller to delete.
+export const mergeTags = async (sources, target) => {
+  const ids = sources.map((tag) => tag._id);
+
+  // Add the target first, then pull the sources, since one update cannot both add
+  // to and pull from the same array
+  const leads = await Lead.updateMany(
+    { tags: { $in: ids } },
+    { $addToSet: { tags: target._id, tagNames: target.name } }
+  );
+  await ApiKey.updateMany({ defaultTags: { $in: ids } }, { $addToSet: { defaultTags: target._id } });
+  await pullTags(sources);
+
+  await replaceTagInRules(ids, target);
+  await rescoreLeads({ tags: target._id });
+
+  return leads.matchedCount;
+};
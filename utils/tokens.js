@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+
+export const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT carrying the user's token version, checked on every request
+export const signAccessToken = (user) => {
+  return jwt.sign(
+    { id: user._id, role: user.role, tv: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Store a new refresh token and return it. Pass family when rotating.
+const createRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ip: req.ip || '',
+    userAgent: req.headers['user-agent'] || '',
+  });
+
+  return { token, record };
+};
+
+// Access and refresh token pair returned by login, register and refresh
+export const issueTokens = async (user, req) => {
+  const { token: refreshToken } = await createRefreshToken(user, req);
+  return {
+    token: signAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+// Exchange a refresh token for a new pair. The old token stops working.
+// Presenting a token that was already rotated revokes its whole family.
+// Returns null when the token cannot be used.
+export const rotateRefreshToken = async (token, req) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!record) return null;
+
+  if (record.revokedAt) {
+    if (record.replacedBy) {
+      await RefreshToken.updateMany(
+        { family: record.family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+    return null;
+  }
+
+  if (record.expiresAt <= new Date()) return null;
+
+  const user = await User.findById(record.user);
+  if (!user || !user.isActive) {
+    await revokeUserSessions(record.user);
+    return null;
+  }
+
+  const { token: refreshToken, record: next } = await createRefreshToken(user, req, record.family);
+
+  // Only one request can rotate a token; a concurrent second one is treated as reuse
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), replacedBy: next._id } }
+  );
+  if (!rotated) {
+    await RefreshToken.updateMany({ family: record.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    return null;
+  }
+
+  return {
+    user,
+    token: signAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+// Revoke a single refresh token (log out one session)
+export const revokeRefreshToken = async (token) => {
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// End every session of a user: outstanding access tokens fail their version check
+// and refresh tokens can no longer be used
+export const revokeUserSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
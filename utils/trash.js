@@ -0,0 +1,110 @@
+import Lead from '../models/Lead.js';
+import User from '../models/User.js';
+import Pipeline from '../models/Pipeline.js';
+import Activity from '../models/Activity.js';
+import Task from '../models/Task.js';
+import EmailLog from '../models/EmailLog.js';
+import Team from '../models/Team.js';
+import UserToken from '../models/UserToken.js';
+import RefreshToken from '../models/RefreshToken.js';
+import SavedView from '../models/SavedView.js';
+import { recordActivity } from './activity.js';
+import { emitEvent, serializeLead } from './events.js';
+
+// Days a trashed lead or user is kept before the purge job removes it for good
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+
+// Move leads (documents or plain objects) to the trash. Leads removed by a merge
+// record the lead they were merged into.
+export const trashLeads = async (leads, userId, { mergedInto = null } = {}) => {
+  if (leads.length === 0) return;
+
+  const deletedAt = new Date();
+  await Lead.updateMany(
+    { _id: { $in: leads.map((lead) => lead._id) } },
+    { $set: { deletedAt, deletedBy: userId, mergedInto } }
+  );
+
+  const meta = mergedInto ? { mergedInto: mergedInto.toString() } : undefined;
+  await recordActivity(leads.map((lead) => ({ lead: lead._id, type: 'deleted', meta, createdBy: userId })));
+  leads.forEach((lead) => {
+    emitEvent('lead.deleted', { lead: serializeLead(lead), ...meta }, userId);
+  });
+};
+
+// Take a lead document out of the trash. A lead whose pipeline or stage was removed
+// while it was in the trash goes back to the default pipeline or its pipeline's first stage.
+// A merged lead is no longer listed on the lead it was merged into; the notes and tags
+// it brought stay there.
+export const restoreLead = async (lead, userId) => {
+  let pipeline = lead.pipeline && await Pipeline.findById(lead.pipeline);
+  if (!pipeline) {
+    pipeline = await Pipeline.getDefault();
+    lead.pipeline = pipeline._id;
+  }
+  if (!pipeline.getStage(lead.status)) {
+    lead.status = pipeline.stages[0].name;
+  }
+
+  if (lead.mergedInto) {
+    await Lead.updateOne({ _id: lead.mergedInto }, { $pull: { mergedFrom: { lead: lead._id } } });
+  }
+
+  lead.deletedAt = null;
+  lead.deletedBy = null;
+  lead.mergedInto = null;
+  await lead.save();
+
+  await recordActivity({ lead: lead._id, type: 'restored', createdBy: userId });
+  emitEvent('lead.restored', { lead: serializeLead(lead) }, userId);
+};
+
+// Permanently remove trashed leads with their tasks, emails and timeline
+export const purgeLeads = async (ids) => {
+  if (ids.length === 0) return 0;
+
+  // Only leads that are actually in the trash lose their tasks, emails and timeline
+  const trashed = await Lead.find({ _id: { $in: ids }, deletedAt: { $ne: null } }).distinct('_id');
+  if (trashed.length === 0) return 0;
+
+  const result = await Lead.deleteMany({ _id: { $in: trashed } });
+  await Task.deleteMany({ lead: { $in: trashed } });
+  await Activity.deleteMany({ lead: { $in: trashed } });
+  await EmailLog.deleteMany({ lead: { $in: trashed } });
+
+  return result.deletedCount;
+};
+
+// Permanently remove trashed users. Leads keep the ids of the users who created them.
+export const purgeUsers = async (ids) => {
+  if (ids.length === 0) return 0;
+
+  // Active users passed in by mistake keep their teams, sessions and views
+  const trashed = await User.find({ _id: { $in: ids }, deletedAt: { $ne: null } }).distinct('_id');
+  if (trashed.length === 0) return 0;
+
+  const result = await User.deleteMany({ _id: { $in: trashed } });
+  await Team.updateMany({}, { $pull: { members: { $in: trashed }, managers: { $in: trashed } } });
+  await UserToken.deleteMany({ user: { $in: trashed } });
+  await RefreshToken.deleteMany({ user: { $in: trashed } });
+  // Shared views stay for the users who rely on them
+  await SavedView.deleteMany({ createdBy: { $in: trashed }, shared: false });
+
+  return result.deletedCount;
+};
+
+// Purge everything that has been in the trash longer than the retention window
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lt: cutoff } };
+
+  const leads = await Lead.find(expired).select('_id').lean();
+  const users = await User.find(expired).select('_id').lean();
+
+  const purgedLeads = await purgeLeads(leads.map((lead) => lead._id));
+  const purgedUsers = await purgeUsers(users.map((user) => user._id));
+
+  if (purgedLeads > 0 || purgedUsers > 0) {
+    console.log(`Purged ${purgedLeads} leads and ${purgedUsers} users from the trash`);
+  }
+};
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import UserToken from '../models/UserToken.js';
+
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS || '72');
+const RESET_TTL_MINUTES = parseInt(process.env.RESET_TTL_MINUTES || '60');
+
+const TTL_MS = {
+  invite: INVITE_TTL_HOURS * 60 * 60 * 1000,
+  reset: RESET_TTL_MINUTES * 60 * 1000,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token of the given type, replacing any unused one the user already has.
+// Returns the plain token to put in the email link.
+export const createUserToken = async (userId, type, createdBy = null) => {
+  await UserToken.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TTL_MS[type]),
+    createdBy,
+  });
+
+  return token;
+};
+
+const usableFilter = (token, type) => ({
+  tokenHash: hashToken(token),
+  type,
+  usedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// Look up a token without using it. Returns null if it is unknown, expired or used.
+export const findUserToken = async (token, type) => {
+  return UserToken.findOne(usableFilter(token, type));
+};
+
+// Mark a token as used and return its record, or null if it cannot be used.
+// Only one request can use a token.
+export const consumeUserToken = async (token, type) => {
+  return UserToken.findOneAndUpdate(
+    usableFilter(token, type),
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Drop outstanding tokens, e.g. once a password has been set another way
+export const discardUserTokens = async (userId, type) => {
+  await UserToken.deleteMany({ user: userId, type, usedAt: null });
+};
+
+export const INVITE_TTL = `${INVITE_TTL_HOURS} hours`;
+export const RESET_TTL = `${RESET_TTL_MINUTES} minutes`;
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import AutomationRun from '../models/AutomationRun.js';
+import { onEvent, AUTOMATION_WEBHOOK_EVENT } from './events.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+// First retry waits this long; each later retry waits twice as long as the one before
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000');
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+// How long a delivery being sent is hidden from the retry job
+const LEASE_MS = TIMEOUT_MS * 3;
+
+export const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-LeadFlow-Signature: sha256=<hex>
+export const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Record the outcome of a delivery sent by an automation action on the rule's run
+const settleAutomationRun = async (delivery) => {
+  const run = await AutomationRun.findOne({ 'actions.delivery': delivery._id });
+  if (!run) return;
+
+  const action = run.actions.find((item) => item.delivery && item.delivery.equals(delivery._id));
+  action.status = delivery.status;
+  action.error = delivery.status === 'failed' ? delivery.attempts[delivery.attempts.length - 1].error : undefined;
+  run.settleStatus();
+  await run.save();
+};
+
+// POST a delivery to its webhook and record the attempt, scheduling a retry on failure
+export const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const attempt = { attemptedAt: new Date() };
+  const started = Date.now();
+
+  if (!webhook || !webhook.isActive) {
+    attempt.error = 'Webhook was deleted or disabled';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'LeadFlow-Webhooks/1.0',
+          'X-LeadFlow-Event': delivery.event,
+          'X-LeadFlow-Delivery': delivery._id.toString(),
+          'X-LeadFlow-Timestamp': timestamp,
+          'X-LeadFlow-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+
+      attempt.responseStatus = response.status;
+      attempt.responseBody = (await response.text()).slice(0, 1000);
+      if (!response.ok) attempt.error = `Endpoint responded with HTTP ${response.status}`;
+    } catch (error) {
+      attempt.error = error.message;
+    }
+  }
+
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'success';
+  } else if (!webhook || !webhook.isActive || delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1));
+  }
+
+  await delivery.save();
+  if (delivery.event === AUTOMATION_WEBHOOK_EVENT && delivery.status !== 'pending') {
+    await settleAutomationRun(delivery);
+  }
+  return delivery;
+};
+
+// Create a delivery for a webhook and send it straight away
+export const queueDelivery = async (webhook, event, data, { actor = null, occurredAt } = {}) => {
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    event,
+    nextAttemptAt: new Date(Date.now() + LEASE_MS),
+  });
+
+  delivery.payload = {
+    id: delivery._id.toString(),
+    event,
+    occurredAt: occurredAt || new Date().toISOString(),
+    actor,
+    data,
+  };
+
+  await delivery.save();
+  return attemptDelivery(delivery);
+};
+
+// Retry pending deliveries that are due. Each one is claimed before it is sent
+// so that overlapping runs do not send it twice.
+export const retryDueDeliveries = async (limit = 50) => {
+  let sent = 0;
+
+  while (sent < limit) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+
+    await attemptDelivery(delivery);
+    sent++;
+  }
+
+  return sent;
+};
+
+// Send every lead event to the active webhooks subscribed to it
+export const registerWebhookListener = () => {
+  onEvent(async (event) => {
+    const webhooks = await Webhook.find({ isActive: true, events: event.type });
+
+    await Promise.all(webhooks.map((webhook) => queueDelivery(webhook, event.type, event.data, event)));
+  });
+};
@@ -0,0 +1,31 @@
+import { z } from 'zod';
+import { objectId } from './common.js';
+
+// Date range on lead creation shared by every report
+export const rangeQuery = z.object({
+  dateFrom: z.coerce.date().optional(),
+  dateTo: z.coerce.date().optional(),
+  pipeline: objectId.optional(),
+  team: objectId.optional(),
+});
+
+export const trendQuery = rangeQuery.extend({
+  interval: z.enum(['day', 'week']).default('day'),
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time in status replays each lead's whole history, so it covers leads created in
+// the last 90 days unless asked otherwise, and at most a year of them
+const DEFAULT_STATUS_RANGE_DAYS = 90;
+const MAX_STATUS_RANGE_DAYS = 366;
+
+export const timeInStatusQuery = rangeQuery
+  .transform((query) => ({
+    ...query,
+    dateFrom: query.dateFrom || new Date((query.dateTo || new Date()).getTime() - DEFAULT_STATUS_RANGE_DAYS * DAY_MS),
+  }))
+  .refine(
+    ({ dateFrom, dateTo }) => (dateTo || new Date()) - dateFrom <= MAX_STATUS_RANGE_DAYS * DAY_MS,
+    { message: `Date range cannot be longer than ${MAX_STATUS_RANGE_DAYS} days`, path: ['dateFrom'] }
+  );
@@ -0,0 +1,18 @@
+import { z } from 'zod';
+import { objectId } from './common.js';
+
+export const createApiKeyBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  defaultSource: z.string().trim().min(1).optional(),
+  defaultTags: z.array(objectId).default([]),
+  defaultAssignee: objectId.nullable().optional(),
+  rateLimit: z.number().int().min(1).max(10000).optional(),
+});
+
+export const updateApiKeyBody = z.object({
+  name: z.string().trim().min(1).optional(),
+  defaultSource: z.string().trim().min(1).optional(),
+  defaultTags: z.array(objectId).optional(),
+  defaultAssignee: objectId.nullable().optional(),
+  rateLimit: z.number().int().min(1).max(10000).optional(),
+});
@@ -0,0 +1,26 @@
+import { z } from 'zod';
+import { objectId } from './common.js';
+
+const condition = z.object({
+  field: z.string().trim().min(1, 'Field is required'),
+  operator: z.enum(['equals', 'not_equals', 'contains', 'in', 'exists']).default('equals'),
+  value: z.union([z.string(), z.number(), z.boolean(), z.array(z.string())]).nullable().default(null),
+});
+
+export const createRuleBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  priority: z.number().int().default(0),
+  conditions: z.array(condition).default([]),
+  strategy: z.enum(['round_robin', 'least_loaded']).default('round_robin'),
+  agents: z.array(objectId).default([]),
+  isActive: z.boolean().default(true),
+});
+
+export const updateRuleBody = z.object({
+  name: z.string().trim().min(1).optional(),
+  priority: z.number().int().optional(),
+  conditions: z.array(condition).optional(),
+  strategy: z.enum(['round_robin', 'least_loaded']).optional(),
+  agents: z.array(objectId).optional(),
+  isActive: z.boolean().optional(),
+});
@@ -0,0 +1,45 @@
+import { z } from 'zod';
+import { email, password, refinePasswordForUser } from './common.js';
+
+export const registerBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  email,
+  password,
+  // Self-registered users are always agents
+  role: z.literal('agent', {
+    errorMap: () => ({ message: 'Role cannot be chosen when registering' }),
+  }).optional(),
+}).superRefine(refinePasswordForUser);
+
+export const loginBody = z.object({
+  email,
+  password: z.string().min(1, 'Password is required'),
+});
+
+export const refreshTokenBody = z.object({
+  refreshToken: z.string().min(1, 'Refresh token is required'),
+});
+
+const token = z.string().trim().min(1, 'Token is required');
+
+export const acceptInviteBody = z.object({
+  token,
+  password,
+});
+
+export const forgotPasswordBody = z.object({
+  email,
+});
+
+export const resetPasswordBody = z.object({
+  token,
+  password,
+});
+
+export const changePasswordBody = z.object({
+  currentPassword: z.string().min(1, 'Current password is required'),
+  newPassword: password,
+}).refine((body) => body.currentPassword !== body.newPassword, {
+  message: 'New password must be different from the current password',
+  path: ['newPassword'],
+});
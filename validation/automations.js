@@ -0,0 +1,80 @@
+import { z } from 'zod';
+import { objectId, pagination } from './common.js';
+import { CONDITION_OPERATORS } from '../utils/conditions.js';
+import { TRACKED_FIELDS } from '../utils/activity.js';
+import { SETTABLE_FIELDS, AUTOMATION_CONDITION_FIELDS } from '../utils/automation.js';
+
+const customField = /^cf\.[a-z][a-z0-9_]*$/;
+
+const fieldOf = (fields) => z.string().trim().refine(
+  (value) => fields.includes(value) || customField.test(value),
+  { message: `Must be one of ${fields.join(', ')} or cf.<key>` }
+);
+
+const conditionValue = z.union([z.string(), z.number(), z.boolean()]);
+
+const trigger = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('lead.created') }),
+  z.object({
+    type: z.literal('lead.field_changed'),
+    field: fieldOf(TRACKED_FIELDS),
+    // Only when the field changes to this value
+    to: conditionValue.nullable().default(null),
+  }),
+  z.object({ type: z.literal('note.added') }),
+  z.object({
+    type: z.literal('lead.inactive'),
+    days: z.number().int().min(1).max(365),
+  }),
+]);
+
+const condition = z.object({
+  field: fieldOf(AUTOMATION_CONDITION_FIELDS),
+  operator: z.enum(CONDITION_OPERATORS).default('equals'),
+  value: z.union([conditionValue, z.array(z.string())]).nullable().default(null),
+});
+
+const action = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('set_field'),
+    field: fieldOf(SETTABLE_FIELDS),
+    value: z.union([conditionValue, z.array(z.string())]),
+  }),
+  z.object({ type: z.literal('add_tag'), tag: objectId }),
+  z.object({ type: z.literal('remove_tag'), tag: objectId }),
+  z.object({ type: z.literal('assign'), user: objectId }),
+  z.object({ type: z.literal('add_note'), text: z.string().trim().min(1, 'Note text is required') }),
+  z.object({
+    type: z.literal('create_task'),
+    text: z.string().trim().min(1, 'Task title is required'),
+    dueInDays: z.number().int().min(0).max(365).default(1),
+    // Defaults to the lead's assignee
+    user: objectId.optional(),
+  }),
+  // Sent like webhook events: signed with the webhook's secret and retried on failure
+  z.object({ type: z.literal('call_webhook'), webhook: objectId }),
+]);
+
+export const createAutomationRuleBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  trigger,
+  conditions: z.array(condition).default([]),
+  actions: z.array(action).min(1, 'A rule needs at least one action').max(20),
+  isActive: z.boolean().default(true),
+});
+
+export const updateAutomationRuleBody = z.object({
+  name: z.string().trim().min(1).optional(),
+  trigger: trigger.optional(),
+  conditions: z.array(condition).optional(),
+  actions: z.array(action).min(1, 'A rule needs at least one action').max(20).optional(),
+  isActive: z.boolean().optional(),
+});
+
+export const listAutomationRunsQuery = z.object({
+  rule: objectId.optional(),
+  lead: objectId.optional(),
+  // not_matched runs are only listed when asked for
+  status: z.enum(['success', 'failed', 'pending', 'skipped', 'not_matched']).optional(),
+  ...pagination(50),
+});
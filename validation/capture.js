@@ -0,0 +1,24 @@
+import { z } from 'zod';
+import { email } from './common.js';
+
+const customValue = z.union([z.string().max(5000), z.number(), z.boolean(), z.array(z.string().max(500))]);
+
+// Forms can send custom field values as customFields[<key>] or as cf.<key> fields
+const collectCustomFields = (body) => {
+  if (!body || typeof body !== 'object') return body;
+
+  const customFields = { ...(typeof body.customFields === 'object' ? body.customFields : {}) };
+  Object.entries(body).forEach(([field, value]) => {
+    if (field.startsWith('cf.')) customFields[field.slice(3)] = value;
+  });
+  return { ...body, customFields };
+};
+
+// Fields accepted from a web form. Anything else the form sends is ignored.
+export const captureLeadBody = z.preprocess(collectCustomFields, z.object({
+  name: z.string().trim().min(1, 'Name is required').max(200),
+  email,
+  phone: z.string().trim().max(50).optional(),
+  message: z.string().trim().max(5000).optional(),
+  customFields: z.record(customValue).default({}),
+}));
@@ -0,0 +1,43 @@
+import { z } from 'zod';
+import { checkPasswordPolicy, checkPasswordPersonalInfo } from '../utils/passwords.js';
+
+// 24 character hex string, as used by MongoDB ObjectIds
+export const objectId = z.string().trim().regex(/^[a-f\d]{24}$/i, 'Invalid ID');
+
+export const email = z.string().trim().toLowerCase().email('Invalid email address');
+
+// A new password that must meet the password policy
+export const password = z.string().superRefine((value, ctx) => {
+  checkPasswordPolicy(value).forEach((message) => {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+  });
+});
+
+// Object refinement rejecting a password that contains the body's email or name
+export const refinePasswordForUser = (body, ctx) => {
+  if (!body.password) return;
+  checkPasswordPersonalInfo(body.password, body).forEach((message) => {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message, path: ['password'] });
+  });
+};
+
+// "true"/"false" query string flags
+export const booleanString = z.enum(['true', 'false']).transform((value) => value === 'true');
+
+// Route parameters of the form /:id
+export const idParams = z.object({
+  id: objectId,
+});
+
+// Query values given either as a comma-separated string or repeated parameters
+export const listOf = (schema) => z.preprocess(
+  (value) => (typeof value === 'string'
+    ? value.split(',').map((item) => item.trim()).filter(Boolean)
+    : value),
+  z.array(schema)
+);
+
+export const pagination = (defaultLimit = 10) => ({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(defaultLimit),
+});
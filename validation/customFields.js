@@ -0,0 +1,21 @@
+import { z } from 'zod';
+import { CUSTOM_FIELD_TYPES } from '../models/CustomField.js';
+
+const options = z.array(z.string().trim().min(1, 'Options cannot be empty'));
+
+export const createCustomFieldBody = z.object({
+  key: z.string().trim().toLowerCase().regex(/^[a-z][a-z0-9_]*$/, 'Key may only contain lowercase letters, numbers and underscores'),
+  label: z.string().trim().min(1, 'Label is required'),
+  type: z.enum(CUSTOM_FIELD_TYPES),
+  required: z.boolean().default(false),
+  options: options.default([]),
+  order: z.number().int().optional(),
+});
+
+// The key and type cannot change, since leads already hold values for them
+export const updateCustomFieldBody = z.object({
+  label: z.string().trim().min(1).optional(),
+  required: z.boolean().optional(),
+  options: options.optional(),
+  order: z.number().int().optional(),
+});
@@ -0,0 +1,41 @@
+import { z } from 'zod';
+import { objectId, booleanString, pagination } from './common.js';
+
+// Placeholders are checked against the custom fields by the route
+export const createEmailTemplateBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  subject: z.string().trim().min(1, 'Subject is required').max(300),
+  body: z.string().trim().min(1, 'Body is required').max(20000),
+  isActive: z.boolean().default(true),
+});
+
+export const updateEmailTemplateBody = z.object({
+  name: z.string().trim().min(1).optional(),
+  subject: z.string().trim().min(1).max(300).optional(),
+  body: z.string().trim().min(1).max(20000).optional(),
+  isActive: z.boolean().optional(),
+});
+
+export const listEmailTemplatesQuery = z.object({
+  // Inactive templates are only listed when asked for
+  includeInactive: booleanString.default('false'),
+});
+
+// Email to a lead: a template, or a subject and body of its own (which may use placeholders too)
+const leadEmail = z.object({
+  templateId: objectId.optional(),
+  subject: z.string().trim().min(1).max(300).optional(),
+  body: z.string().trim().min(1).max(20000).optional(),
+}).refine(
+  (value) => (value.templateId ? !value.subject && !value.body : value.subject && value.body),
+  { message: 'Give either templateId, or subject and body', path: ['templateId'] }
+);
+
+export const previewLeadEmailBody = leadEmail;
+
+export const sendLeadEmailBody = leadEmail.and(z.object({
+  // Move a New lead to Contacted when this is the first email it gets
+  advanceStatus: z.boolean().default(true),
+}));
+
+export const leadEmailsQuery = z.object(pagination(20));
@@ -0,0 +1,223 @@
+import { z } from 'zod';
+import { objectId, email, listOf, pagination, booleanString } from './common.js';
+import { QUERY_OPERATORS } from '../utils/leadQuery.js';
+
+// Query parameters and form fields holding JSON are parsed before validation
+const parseJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// A where filter: a condition on one field, or an and/or group of filters.
+// Fields, operators and values are checked against each other by compileLeadQuery.
+const conditionValue = z.union([z.string(), z.number(), z.boolean()]);
+
+const leadQuery = z.lazy(() => z.union([
+  z.object({ and: z.array(leadQuery).min(1).max(50) }).strict(),
+  z.object({ or: z.array(leadQuery).min(1).max(50) }).strict(),
+  z.object({
+    field: z.string().trim().min(1),
+    op: z.enum(QUERY_OPERATORS),
+    value: z.union([conditionValue, z.array(conditionValue).max(500)]).optional(),
+  }).strict(),
+], {
+  errorMap: () => ({ message: 'Must be { field, op, value }, { and: [...] } or { or: [...] }' }),
+}));
+
+// Criteria for one custom field in the cf filter (see buildLeadFilter)
+const customFieldCriteria = z.union([
+  z.string().trim().min(1),
+  z.array(z.string().trim().min(1)),
+  z.object({
+    gte: z.string().trim().min(1).optional(),
+    lte: z.string().trim().min(1).optional(),
+    exists: booleanString.optional(),
+  }),
+]);
+
+// Filters shared by the lead list, the export, bulk changes and saved views
+const leadFilters = {
+  pipeline: objectId.optional(),
+  status: listOf(z.string().min(1)).optional(),
+  stageType: z.enum(['open', 'won', 'lost']).optional(),
+  tags: listOf(objectId).optional(),
+  dateFrom: z.coerce.date().optional(),
+  dateTo: z.coerce.date().optional(),
+  // Score range, inclusive
+  scoreMin: z.coerce.number().optional(),
+  scoreMax: z.coerce.number().optional(),
+  assignedTo: objectId.optional(),
+  // Leads assigned to members of this team
+  team: objectId.optional(),
+  source: z.string().trim().min(1).optional(),
+  search: z.string().trim().max(200).optional(),
+  // Custom field filters, e.g. cf[budget][gte]=1000 or cf[industry]=Retail,Finance
+  cf: z.record(customFieldCriteria).optional(),
+  // Filter language as JSON, e.g. {"or":[{"field":"assignedTo","op":"empty"},{"field":"tags","op":"all","value":[...]}]}
+  where: z.preprocess(parseJson, leadQuery).optional(),
+};
+
+// Lead fields the list can be sorted by, besides custom fields ("cf.<key>")
+export const SORT_FIELDS = ['name', 'email', 'phone', 'source', 'status', 'score', 'createdAt', 'updatedAt'];
+
+export const sortField = z.string().refine(
+  (value) => SORT_FIELDS.includes(value.replace(/^-/, '')) || /^-?cf\.[a-z][a-z0-9_]*$/.test(value),
+  { message: `Sort by ${SORT_FIELDS.join(', ')} or cf.<key>, with a leading - for descending order` }
+);
+
+export const leadFiltersObject = z.object(leadFilters);
+
+// view applies a saved view; parameters given alongside it replace the view's own
+export const listLeadsQuery = z.object({
+  ...leadFilters,
+  view: objectId.optional(),
+  sort: listOf(sortField).optional(),
+  ...pagination(10),
+});
+
+// Ranked search with the list filters. q uses MongoDB text search syntax:
+// words, "quoted phrases" and -excluded words.
+export const searchLeadsQuery = z.object({
+  ...leadFilters,
+  q: z.string().trim().min(1, 'Search text is required').max(200),
+  ...pagination(20),
+});
+
+// Typeahead suggestions for the start of a name, email or phone number
+export const suggestLeadsQuery = z.object({
+  q: z.string().trim().min(1, 'Search text is required').max(100),
+  limit: z.coerce.number().int().min(1).max(20).default(10),
+});
+
+// Columns an export can include, besides custom fields ("cf.<key>")
+export const EXPORT_COLUMNS = [
+  'id', 'name', 'email', 'phone', 'pipeline', 'status', 'source', 'tags',
+  'assignedTo', 'assignedToEmail', 'notes', 'score', 'createdAt', 'updatedAt',
+];
+
+const exportColumn = z.string().refine(
+  (value) => EXPORT_COLUMNS.includes(value) || /^cf\.[a-z][a-z0-9_]*$/.test(value),
+  { message: `Must be one of ${EXPORT_COLUMNS.join(', ')} or cf.<key>` }
+);
+
+export const exportLeadsQuery = z.object({
+  ...leadFilters,
+  view: objectId.optional(),
+  sort: listOf(sortField).optional(),
+  // xlsx stays the default for existing clients; csv and ndjson are streamed
+  format: z.enum(['csv', 'xlsx', 'ndjson']).default('xlsx'),
+  columns: listOf(exportColumn).optional(),
+});
+
+// Bulk changes select leads by ids or by the list filters, and apply one action
+const bulkAction = z.discriminatedUnion('action', [
+  z.object({ action: z.literal('set_status'), status: z.string().trim().min(1, 'Status is required') }),
+  z.object({ action: z.literal('assign'), assignedTo: objectId.nullable() }),
+  z.object({ action: z.literal('add_tags'), tags: z.array(objectId).min(1, 'At least one tag is required') }),
+  z.object({ action: z.literal('remove_tags'), tags: z.array(objectId).min(1, 'At least one tag is required') }),
+  z.object({ action: z.literal('add_note'), content: z.string().trim().min(1, 'Note content is required') }),
+  z.object({ action: z.literal('delete') }),
+]);
+
+export const bulkLeadsBody = z.intersection(
+  z.object({
+    ids: z.array(objectId).min(1, 'At least one lead is required').optional(),
+    filter: leadFiltersObject.optional(),
+  }),
+  bulkAction
+).refine((body) => Boolean(body.ids) !== Boolean(body.filter), {
+  message: 'Send either ids or filter',
+  path: ['ids'],
+});
+
+export const timelineQuery = z.object(pagination(50));
+
+export const createLeadBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  email,
+  phone: z.string().trim().optional(),
+  source: z.string().trim().min(1).optional(),
+  pipeline: objectId.optional(),
+  status: z.string().trim().min(1).optional(),
+  assignedTo: objectId.nullable().optional(),
+  tags: z.array(objectId).default([]),
+  // Values by custom field key, checked against the field definitions by the route
+  customFields: z.record(z.unknown()).optional(),
+});
+
+// Duplicate handling for create: warn (create and report), block (409) or allow
+export const createLeadQuery = z.object({
+  onDuplicate: z.enum(['warn', 'block', 'allow']).default('warn'),
+  fuzzyName: booleanString.default('false'),
+});
+
+// Lead fields a spreadsheet column can be mapped to ("ignore" skips the column)
+export const IMPORT_FIELDS = ['name', 'email', 'phone', 'source', 'status', 'tags', 'assignee', 'note'];
+
+const importTarget = z.string().refine(
+  (value) => value === 'ignore' || IMPORT_FIELDS.includes(value) || /^cf\.[a-z][a-z0-9_]*$/.test(value),
+  { message: `Must be one of ${IMPORT_FIELDS.join(', ')}, cf.<key> or ignore` }
+);
+
+// Import options, sent as query parameters or multipart form fields.
+// mapping is a JSON object of spreadsheet header to lead field, or to a custom field as cf.<key>.
+export const importOptions = z.object({
+  mapping: z.preprocess(parseJson, z.record(importTarget)).optional(),
+  dryRun: booleanString.optional(),
+  fuzzyName: booleanString.optional(),
+  background: booleanString.optional(),
+});
+
+// Fields whose value can be taken from any of the merged leads.
+// Choosing status also takes that lead's pipeline.
+const mergeableFields = ['name', 'email', 'phone', 'source', 'status', 'assignedTo'];
+
+export const mergeLeadsBody = z.object({
+  primaryId: objectId,
+  mergeIds: z.array(objectId).min(1, 'At least one lead to merge is required'),
+  fields: z.object(Object.fromEntries(mergeableFields.map((field) => [field, objectId.optional()]))).default({}),
+}).refine((body) => !body.mergeIds.includes(body.primaryId), {
+  message: 'The primary lead cannot also be merged into itself',
+  path: ['mergeIds'],
+});
+
+export const updateLeadBody = z.object({
+  name: z.string().trim().min(1).optional(),
+  email: email.optional(),
+  phone: z.string().trim().optional(),
+  source: z.string().trim().min(1).optional(),
+  pipeline: objectId.optional(),
+  status: z.string().trim().min(1).optional(),
+  assignedTo: objectId.optional(),
+  tags: z.array(objectId).optional(),
+  // Changed custom field values; null clears a field
+  customFields: z.record(z.unknown()).optional(),
+});
+
+export const noteBody = z.object({
+  content: z.string().trim().min(1, 'Note content is required'),
+});
+
+export const importJobParams = z.object({
+  jobId: objectId,
+});
+
+// A single spreadsheet row in a lead import, after column mapping.
+// Tags are names separated by commas or semicolons; assignee is a user's email.
+export const importRow = z.object({
+  name: z.coerce.string().trim().min(1, 'Name is required'),
+  email,
+  phone: z.coerce.string().trim().optional(),
+  source: z.coerce.string().trim().optional(),
+  status: z.coerce.string().trim().optional(),
+  tags: z.preprocess(
+    (value) => String(value).split(/[,;]/).map((item) => item.trim()).filter(Boolean),
+    z.array(z.string())
+  ).optional(),
+  assignee: email.optional(),
+  note: z.coerce.string().trim().optional(),
+});
@@ -0,0 +1,30 @@
+import { z } from 'zod';
+import { objectId } from './common.js';
+
+const stage = z.object({
+  _id: objectId.optional(),
+  name: z.string().trim().min(1, 'Stage name is required'),
+  type: z.enum(['open', 'won', 'lost']).default('open'),
+  probability: z.number().min(0).max(100).default(0),
+});
+
+export const createPipelineBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  stages: z.array(stage).min(1, 'A pipeline needs at least one stage'),
+  isDefault: z.boolean().optional(),
+});
+
+export const updatePipelineBody = z.object({
+  name: z.string().trim().min(1).optional(),
+  stages: z.array(stage).min(1, 'A pipeline needs at least one stage').optional(),
+  isDefault: z.boolean().optional(),
+});
+
+export const migrateLeadsBody = z.object({
+  fromPipeline: objectId.optional(),
+  leadIds: z.array(objectId).optional(),
+  stageMap: z.record(z.string().trim().min(1)).default({}),
+}).refine((body) => body.fromPipeline || body.leadIds, {
+  message: 'Either fromPipeline or leadIds is required',
+  path: ['leadIds'],
+});
@@ -0,0 +1,20 @@
+import { z } from 'zod';
+import { PERMISSION_NAMES } from '../utils/permissions.js';
+
+const permissions = z.array(z.enum(PERMISSION_NAMES)).transform((list) => [...new Set(list)]);
+
+export const createRoleBody = z.object({
+  name: z.string().trim().toLowerCase().regex(
+    /^[a-z][a-z0-9_]*$/,
+    'Role name may only contain lowercase letters, numbers and underscores'
+  ),
+  label: z.string().trim().min(1, 'Label is required'),
+  description: z.string().trim().optional(),
+  permissions,
+});
+
+export const updateRoleBody = z.object({
+  label: z.string().trim().min(1, 'Label is required').optional(),
+  description: z.string().trim().optional(),
+  permissions: permissions.optional(),
+});
@@ -0,0 +1,18 @@
+import { z } from 'zod';
+import { leadFiltersObject, sortField } from './leads.js';
+
+export const createSavedViewBody = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  description: z.string().trim().max(500).optional(),
+  filters: leadFiltersObject.strict().default({}),
+  sort: z.array(sortField).default([]),
+  shared: z.boolean().default(false),
+});
+
+export const updateSavedViewBody = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  description: z.string().trim().max(500).optional(),
+  filters: leadFiltersObject.strict().optional(),
+  sort: z.array(sortField).optional(),
+  shared: z.boolean().optional(),
+});
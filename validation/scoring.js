@@ -0,0 +1,26 @@
+import { z } from 'zod';
+import { CONDITION_OPERATORS } from '../utils/conditions.js';
+import { SCORING_FIELDS } from '../utils/scoring.js';
+
+const condition = z.object({
+  field: z.string().trim().refine(
+    (value) => SCORING_FIELDS.includes(value) || /^cf\.[a-z][a-z0-9_]*$/.test(value),
+    { message: `Must be one of ${SCORING_FIELDS.join(', ')} or cf.<key>` }
+  ),
+  operator: z.enum(CONDITION_OPERATORS).default('equals'),
+  value: z.union([z.string(), z.number(), z.boolean(), z.array(z.string())]).nullable().default(null),
+});
+
+export const createScoringRuleBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  conditions: z.array(condition).default([]),
+  points: z.number().int(),
+  isActive: z.boolean().default(true),
+});
+
+export const updateScoringRuleBody = z.object({
+  name: z.string().trim().min(1).optional(),
+  conditions: z.array(condition).optional(),
+  points: z.number().int().optional(),
+  isActive: z.boolean().optional(),
+});
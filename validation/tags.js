@@ -0,0 +1,30 @@
+import { z } from 'zod';
+import { objectId } from './common.js';
+
+const color = z.string().regex(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i, 'Color must be a hex value like #808080');
+
+export const createTagBody = z.object({
+  name: z.string().trim().min(1, 'Tag name is required').max(100),
+  color: color.optional(),
+  group: z.string().trim().max(100).optional(),
+});
+
+export const updateTagBody = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  color: color.optional(),
+  group: z.string().trim().max(100).optional(),
+});
+
+export const listTagsQuery = z.object({
+  group: z.string().trim().optional(),
+  search: z.string().trim().max(100).optional(),
+});
+
+// Merge the source tags into the target; the sources are deleted
+export const mergeTagsBody = z.object({
+  sourceIds: z.array(objectId).min(1, 'At least one tag to merge is required'),
+  targetId: objectId,
+}).refine((body) => !body.sourceIds.includes(body.targetId), {
+  message: 'The target tag cannot also be merged into itself',
+  path: ['sourceIds'],
+});
@@ -0,0 +1,37 @@
+import { z } from 'zod';
+import { objectId, booleanString } from './common.js';
+
+export const leadTaskParams = z.object({
+  id: objectId,
+  taskId: objectId.optional(),
+});
+
+export const createTaskBody = z.object({
+  title: z.string().trim().min(1, 'Title is required'),
+  description: z.string().trim().optional(),
+  type: z.enum(['call', 'email', 'meeting']).default('call'),
+  priority: z.enum(['low', 'medium', 'high']).default('medium'),
+  dueDate: z.coerce.date(),
+  assignedTo: objectId.optional(),
+});
+
+export const updateTaskBody = z.object({
+  title: z.string().trim().min(1).optional(),
+  description: z.string().trim().optional(),
+  type: z.enum(['call', 'email', 'meeting']).optional(),
+  priority: z.enum(['low', 'medium', 'high']).optional(),
+  dueDate: z.coerce.date().optional(),
+  assignedTo: objectId.optional(),
+  completed: z.boolean().optional(),
+});
+
+export const leadTasksQuery = z.object({
+  includeCompleted: booleanString.default('true'),
+});
+
+// "My tasks". Admins can look at another user's tasks, or everyone's with "all".
+export const myTasksQuery = z.object({
+  assignee: z.union([objectId, z.literal('all')]).optional(),
+  type: z.enum(['call', 'email', 'meeting']).optional(),
+  priority: z.enum(['low', 'medium', 'high']).optional(),
+});
@@ -0,0 +1,18 @@
+import { z } from 'zod';
+import { objectId } from './common.js';
+
+const userIds = z.array(objectId).transform((list) => [...new Set(list)]);
+
+export const createTeamBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  description: z.string().trim().optional(),
+  members: userIds.default([]),
+  managers: userIds.default([]),
+});
+
+export const updateTeamBody = z.object({
+  name: z.string().trim().min(1).optional(),
+  description: z.string().trim().optional(),
+  members: userIds.optional(),
+  managers: userIds.optional(),
+});
@@ -0,0 +1,4 @@
+import { z } from 'zod';
+import { pagination } from './common.js';
+
+export const trashQuery = z.object(pagination(20));
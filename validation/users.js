@@ -0,0 +1,36 @@
+import { z } from 'zod';
+import { objectId, email, password, booleanString, refinePasswordForUser } from './common.js';
+
+// Name of a role; the route checks that it exists
+const role = z.string().trim().toLowerCase().min(1, 'Role is required');
+
+export const createUserBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  email,
+  password,
+  role: role.optional(),
+  isActive: z.boolean().optional(),
+}).superRefine(refinePasswordForUser);
+
+export const inviteUserBody = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  email,
+  role: role.optional(),
+});
+
+export const updateUserBody = z.object({
+  name: z.string().trim().min(1).optional(),
+  email: email.optional(),
+  password: password.optional(),
+  role: role.optional(),
+  isActive: z.boolean().optional(),
+});
+
+// A user's leads go to reassignTo, or are unassigned, before the user is deleted
+export const deleteUserQuery = z.object({
+  reassignTo: objectId.optional(),
+  unassignLeads: booleanString.default('false'),
+}).refine((query) => !(query.reassignTo && query.unassignLeads), {
+  message: 'Use either reassignTo or unassignLeads',
+  path: ['reassignTo'],
+});
@@ -0,0 +1,34 @@
+import { z } from 'zod';
+import { objectId, pagination } from './common.js';
+import { EVENT_TYPES } from '../utils/events.js';
+
+const url = z.string().trim().url('Invalid URL').refine(
+  (value) => /^https?:\/\//i.test(value),
+  'URL must use http or https'
+);
+
+export const createWebhookBody = z.object({
+  url,
+  description: z.string().trim().optional(),
+  events: z.array(z.enum(EVENT_TYPES)).min(1, 'At least one event is required'),
+  secret: z.string().min(16, 'Secret must be at least 16 characters').optional(),
+  isActive: z.boolean().optional(),
+});
+
+export const updateWebhookBody = z.object({
+  url: url.optional(),
+  description: z.string().trim().optional(),
+  events: z.array(z.enum(EVENT_TYPES)).min(1, 'At least one event is required').optional(),
+  isActive: z.boolean().optional(),
+});
+
+export const deliveriesQuery = z.object({
+  status: z.enum(['pending', 'success', 'failed']).optional(),
+  event: z.string().optional(),
+  ...pagination(20),
+});
+
+export const deliveryParams = z.object({
+  id: objectId,
+  deliveryId: objectId,
+});